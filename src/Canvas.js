@@ -0,0 +1,96 @@
+import { findTags } from "./Tag";
+
+/**
+ * A canvas file whose text cards contain tags: like a File, but tags are found by parsing
+ * the canvas JSON rather than from the metadata cache (which doesn't index canvas text).
+ */
+export class CanvasFile {
+
+    constructor(app, filename, matches) {
+        this.app = app;
+        this.filename = filename;
+        this.basename = filename.split("/").pop();
+        this.matches = matches;
+        this.hasFrontMatter = false;
+        this.excluded = new Set();  // ids of changes (from preview()) that should not be made
+    }
+
+    /** Matching tags in each text card, as `{node, tags}` with tags last-first */
+    tagsIn(data) {
+        return (data?.nodes || []).filter(n => n.type === "text" && typeof n.text === "string").map(node => ({
+            node, tags: findTags(node.text).filter(t => this.matches(t.tag)).reverse()
+        })).filter(n => n.tags.length);
+    }
+
+    /** Return the canvas's parsed JSON, or undefined if it's empty or invalid */
+    parse(text) {
+        try {
+            return text.trim() ? JSON.parse(text) : undefined;
+        } catch (e) {
+            console.error(`Invalid canvas JSON in ${this.filename}`, e);
+        }
+    }
+
+    /** True if the canvas has any matching tags */
+    async hasTags() {
+        const file = this.app.vault.getAbstractFileByPath(this.filename);
+        return this.tagsIn(this.parse(await this.app.vault.cachedRead(file))).length > 0;
+    }
+
+    /**
+     * List the changes a replacement would make, without modifying anything
+     *
+     * Changes have `cardId:offset` as their `id`, and report lines within the card's text.
+     */
+    async preview(replace) {
+        const file = this.app.vault.getAbstractFileByPath(this.filename);
+        const changes = [];
+        for (const { node, tags } of this.tagsIn(this.parse(await this.app.vault.read(file)))) {
+            const lines = node.text.split("\n");
+            for (const { tag, offset } of tags) {
+                const line = node.text.slice(0, offset).split("\n").length - 1;
+                const col = offset - node.text.lastIndexOf("\n", offset - 1) - 1;
+                changes.unshift({
+                    id: `${node.id}:${offset}`, line, col, context: lines[line].trimEnd(),
+                    before: tag, after: replace.inString(tag)
+                });
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * @param {import("./Tag").Replacement} replace a Replacement, ReplacementSet, or Removal
+     * @param {import("./journal").Operation} [op] journal entry to record the change in
+     */
+    async renamed(replace, op) {
+        const vault = this.app.vault, file = vault.getAbstractFileByPath(this.filename);
+        this.failure = undefined;
+        if (!file) {
+            this.failure = "file was deleted or moved";
+            return false;
+        }
+        // Tags are found in the current text when it's processed, so concurrent edits can't invalidate them
+        let original;
+        const text = await vault.process(file, current => {
+            original = current;
+            const data = this.parse(current);
+            if (!data) {
+                this.failure = "canvas isn't valid JSON";
+                return current;
+            }
+            let changed = false;
+            for (const { node, tags } of this.tagsIn(data)) {
+                for (const { offset } of tags) {
+                    if (this.excluded.has(`${node.id}:${offset}`)) continue;
+                    node.text = replace.inString(node.text, offset);
+                    changed = true;
+                }
+            }
+            return changed ? JSON.stringify(data, null, "\t") : current;
+        });
+        if (text === original) return false;
+        await op?.record(this.filename, original, text);
+        return true;
+    }
+}
@@ -1,45 +1,210 @@
 import { Notice } from "obsidian";
-import { CST, parseDocument } from "yaml";
-import { Replacement } from "./Tag";
+import { CST, isMap, isSeq, parseDocument, stringify } from "yaml";
+import { joinParts, Replacement } from "./Tag";
+
+const maxAttempts = 3, cacheTimeout = 2000;
+
+/**
+ * The front matter properties, besides `tags` and `aliases`, that hold tags: `names` are property names
+ * (or dotted paths for properties of nested objects), and if `typed` is true, any property that has the
+ * "Tags" type in Obsidian is included too.  The plugin keeps one made from its settings as `tagProperties`.
+ *
+ * @typedef {{names: string[], typed: boolean}} TagProperties
+ */
+
+/** @returns {TagProperties} */
+export function tagProperties(names, typed) {
+    return {names: names.map(n => n.trim().toLowerCase()).filter(Boolean), typed};
+}
+
+/**
+ * True if a front matter property (other than `tags` and `aliases`) should be treated as holding tags
+ *
+ * @param {TagProperties} [properties]
+ */
+export function isTagProperty(app, properties, path) {
+    if (!properties) return false;
+    if (properties.names.includes(path.toLowerCase())) return true;
+    return properties.typed && !path.includes(".") && app.metadataTypeManager?.getAssignedType?.(path) === "tags";
+}
+
+/**
+ * Return the values of the extra tag properties in parsed front matter
+ *
+ * @param {TagProperties} [properties]
+ */
+export function tagPropertyValues(app, properties, frontmatter, prefix = "") {
+    const values = [];
+    for (const [key, value] of Object.entries(frontmatter || {})) {
+        const path = prefix + key;
+        if (!prefix && /^(tags?|alias(es)?|position)$/i.test(key)) continue;
+        if (isTagProperty(app, properties, path)) {
+            if (typeof value === "string") values.push(...value.split(/[\s,]+/).filter(Boolean));
+            else if (Array.isArray(value)) values.push(...value.flat(Infinity).filter(v => typeof v === "string"));
+        } else if (value && typeof value === "object") {
+            // Properties of objects, including objects in lists, share the dotted path (e.g. `projects.topics`)
+            for (const v of [].concat(value)) values.push(...tagPropertyValues(app, properties, v, path + "."));
+        }
+    }
+    return values;
+}
+
+/** Resolve with the file's metadata cache after its next update (or the current one, after `timeout` ms) */
+function nextCacheUpdate(app, file, timeout) {
+    const metaCache = app.metadataCache;
+    return new Promise(resolve => {
+        const ref = metaCache.on("changed", changed => { if (changed === file) done(); });
+        const timer = setTimeout(done, timeout);
+        function done() {
+            clearTimeout(timer);
+            metaCache.offref(ref);
+            resolve(metaCache.getFileCache(file));
+        }
+    });
+}
 
 export class File {
 
-    constructor(app, filename, tagPositions, hasFrontMatter) {
+    /**
+     * @param {(cache: import("obsidian").CachedMetadata) => any[]} [locate] finds the positions
+     *   again in an updated metadata cache, last positions first (see edit())
+     * @param {TagProperties} [properties] extra front matter properties to change tags in
+     */
+    constructor(app, filename, tagPositions, hasFrontMatter, locate, properties) {
         this.app = app;
         this.filename = filename;
         this.basename = filename.split("/").pop();
         this.tagPositions = tagPositions;
         this.hasFrontMatter = !!hasFrontMatter;
+        this.locate = locate;
+        this.properties = properties;
+        this.excluded = new Set();  // ids of changes (from preview()) that should not be made
     }
 
-    /** @param {Replacement} replace */
-    async renamed(replace) {
+    /**
+     * List the changes a replacement would make, without modifying anything
+     *
+     * Body changes have the tag's offset as their `id`, front matter changes use `property:index`.
+     *
+     * @param {Replacement} replace
+     */
+    async preview(replace) {
         const file = this.app.vault.getAbstractFileByPath(this.filename);
-        const original = await this.app.vault.read(file);
-        let text = original;
+        const text = await this.app.vault.read(file), lines = text.split("\n");
+        const body = [], frontMatter = [];
 
         for (const { position: { start, end }, tag } of this.tagPositions) {
-            if (text.slice(start.offset, end.offset) !== tag) {
-                const msg = `File ${this.filename} has changed; skipping`;
-                new Notice(msg);
-                console.error(msg);
-                console.debug(text.slice(start.offset, end.offset), tag);
-                return;
-            }
-            text = replace.inString(text, start.offset);
+            if (text.slice(start.offset, end.offset) !== tag) continue;
+            body.unshift({  // positions are last-first, so unshift to get them in order
+                id: start.offset, line: start.line, col: start.col, context: lines[start.line].trimEnd(),
+                before: tag, after: replace.inString(tag)
+            });
         }
 
         if (this.hasFrontMatter)
-            text = this.replaceInFrontMatter(text, replace);
+            this.replaceInFrontMatter(text, replace, change => frontMatter.push(change));
+
+        return frontMatter.concat(body);
+    }
+
+    /**
+     * @param {Replacement} replace
+     * @param {import("./journal").Operation} [op] journal entry to record the change in
+     */
+    async renamed(replace, op) {
+        return this.edit(text => {
+            for (const { position: { start } } of this.tagPositions) {
+                if (!this.excluded.has(start.offset)) text = replace.inString(text, start.offset);
+            }
+            if (this.hasFrontMatter)
+                text = this.replaceInFrontMatter(text, replace, change => !this.excluded.has(change.id));
+            return text;
+        }, op);
+    }
 
-        if (text !== original) {
-            await this.app.vault.modify(file, text);
-            return true;
+    /**
+     * Change the file's text, atomically, once the tag positions match it
+     *
+     * If the file has changed since its tags were found, the positions are re-resolved from
+     * a fresh metadata cache (via `locate`) and the edit is retried a few times.  If it still
+     * can't be done, `failure` is set to the reason, for reporting to the user.
+     *
+     * @param {(text: string) => string} transform
+     * @param {import("./journal").Operation} [op] journal entry to record the change in
+     */
+    async edit(transform, op) {
+        const vault = this.app.vault;
+        this.failure = undefined;
+        for (let attempt = 1; ; attempt++) {
+            const file = vault.getAbstractFileByPath(this.filename);
+            if (!file) {
+                this.failure = "file was deleted or moved";
+                return false;
+            }
+            let original, stale = false;
+            const text = await vault.process(file, current => {
+                original = current;
+                stale = !this.positionsMatch(current);
+                return stale ? current : transform(current);
+            });
+            if (!stale) {
+                if (text === original) return false;
+                await op?.record(this.filename, original, text);
+                return true;
+            }
+            console.debug(`File ${this.filename} has changed (attempt ${attempt} of ${maxAttempts})`);
+            if (attempt >= maxAttempts) {
+                this.failure = "file kept changing while it was being updated";
+                return false;
+            }
+            if (!await this.relocate(file, attempt > 1)) return false;
         }
     }
 
-    /** @param {Replacement} replace */
-    replaceInFrontMatter(text, replace) {
+    positionsMatch(text) {
+        return this.tagPositions.every(
+            ({ position: { start, end }, tag }) => text.slice(start.offset, end.offset) === tag
+        );
+    }
+
+    /**
+     * Re-resolve tag positions from the metadata cache, waiting for it to update if `wait` is true
+     * or the cached positions haven't changed.  Preview exclusions are carried over by position order.
+     */
+    async relocate(file, wait) {
+        if (!this.locate) {
+            this.failure = "file changed after its tags were found";
+            return false;
+        }
+        const old = this.tagPositions;
+        let cache = this.app.metadataCache.getFileCache(file);
+        const unchanged = found => found.length === old.length &&
+            found.every((p, i) => p.position.start.offset === old[i].position.start.offset);
+        if (wait || !cache || unchanged(this.locate(cache)))
+            cache = await nextCacheUpdate(this.app, file, cacheTimeout);
+        const found = cache && this.locate(cache);
+        if (!found) {
+            this.failure = "couldn't get updated tag positions";
+            return false;
+        }
+        const skipped = old.map(p => this.excluded.has(p.position.start.offset));
+        if (skipped.some(Boolean)) {
+            if (found.length !== old.length) {
+                this.failure = "tags were added or removed, so the changes unchecked in the preview can't be identified";
+                return false;
+            }
+            old.forEach(p => this.excluded.delete(p.position.start.offset));
+            found.forEach((p, i) => skipped[i] && this.excluded.add(p.position.start.offset));
+        }
+        this.tagPositions = found;
+        return true;
+    }
+
+    /**
+     * @param {Replacement} replace a Replacement (or anything with the same interface, like a Removal)
+     * @param {(change: {id, prop, before, after}) => any} [accept] return false to leave a value unchanged
+     */
+    replaceInFrontMatter(text, replace, accept = () => true) {
         const [empty, frontMatter] = text.split(/^---\r?$\n?/m, 2);
 
         // Check for valid, non-empty, properly terminated front matter
@@ -50,7 +215,7 @@ export class File {
         if (parsed.errors.length) {
             const error = `YAML issue with ${this.filename}: ${parsed.errors[0]}`;
             console.error(error); new Notice(error + "; skipping frontmatter");
-            return;
+            return text;
         }
 
         let changed = false, json = parsed.toJSON();
@@ -61,29 +226,202 @@ export class File {
             node.value = value;
         }
 
-        function processField(prop, isAlias) {
-            const node = parsed.get(prop, true);
-            if (!node) return;
-            const field = json[prop];
-            if (!field || !field.length) return;
+        function accepted(prop, index, before, after) {
+            return before === after || accept({ id: `${prop}:${index}`, prop, before, after }) !== false;
+        }
+
+        function processField(map, node, field, prop, isAlias) {
+            if (!node || !field || !field.length) return;
             if (typeof field === "string") {
                 const parts = field.split(isAlias ? /(^\s+|\s*,\s*|\s+$)/ : /([\s,]+)/);
-                const after = replace.inArray(parts, true, isAlias).join("");
-                if (field != after) setInNode(node, after, true);
+                const after = joinParts(replace.inArray(parts, true, isAlias).map(
+                    (v, i) => accepted(prop, i, parts[i], v) ? v : parts[i]
+                ));
+                if (field == after) return;
+                if (after.trim()) return setInNode(node, after, true);
+                // Everything was removed: drop the property, as removeFromFrontMatter() does
+                map.srcToken.items.splice(map.srcToken.items.findIndex(item => item.value === node.srcToken), 1);
+                changed = true;
             } else if (Array.isArray(field)) {
+                const removed = [];
                 replace.inArray(field, false, isAlias).forEach((v, i) => {
-                    if (field[i] !== v) setInNode(node.get(i, true), v)
+                    // Lists of lists: change the inner list's items in place
+                    if (Array.isArray(field[i])) return processField(node, node.get(i, true), field[i], `${prop}.${i}`, isAlias);
+                    if (field[i] === v || !accepted(prop, i, field[i], v)) return;
+                    if (v === null) removed.push(i); else setInNode(node.get(i, true), v);
                 });
+                if (removed.length) {
+                    removeItems(node.srcToken, removed);
+                    if (!node.srcToken.items.length && isMap(map))
+                        clearList(map.srcToken.items.find(item => item.value === node.srcToken));
+                    changed = true;
+                }
             }
         }
 
-        for (const {key: {value:prop}} of parsed.contents.items) {
-            if (/^tags?$/i.test(prop)) {
-                processField(prop, false);
-            } else if (/^alias(es)?$/i.test(prop)) {
-                processField(prop, true);
+        const { app, properties } = this;
+        (function walk(map, json, prefix, idPrefix = prefix) {
+            for (const { key, value: node } of map.items) {
+                if (typeof key?.value !== "string") continue;
+                const prop = prefix + key.value, id = idPrefix + key.value, field = json?.[key.value];
+                if (!prefix && /^tags?$/i.test(prop)) {
+                    processField(map, node, field, prop, false);
+                } else if (!prefix && /^alias(es)?$/i.test(prop)) {
+                    processField(map, node, field, prop, true);
+                } else if (isTagProperty(app, properties, prop)) {
+                    processField(map, node, field, id, false);
+                } else if (isMap(node)) {
+                    walk(node, field, prop + ".", id + ".");
+                } else if (isSeq(node)) {
+                    // Objects in a list share the list's dotted path, as in tagPropertyValues()
+                    node.items.forEach((item, i) => isMap(item) && walk(item, field?.[i], prop + ".", `${id}.${i}.`));
+                }
             }
-        }
+        })(parsed.contents, json, "");
         return changed ? text.replace(frontMatter, CST.stringify(parsed.contents.srcToken)) : text;
     }
 }
+
+/** Remove items from a CST sequence token, keeping the indentation and commas of what's left */
+function removeItems(token, indexes) {
+    const
+        { items } = token,
+        isLead = t => t.type === "space" || t.type === "comma" || t.type === "newline",
+        leading = tokens => { const n = tokens.findIndex(t => !isLead(t)); return n < 0 ? tokens.length : n; }
+    ;
+    for (const i of [...indexes].sort((a, b) => b - a)) {
+        const [removed] = items.splice(i, 1), next = items[i];
+        if (next) {
+            // The next item takes over what preceded the removed one (e.g. no comma if it was first)
+            next.start = removed.start.slice(0, leading(removed.start)).concat(next.start.slice(leading(next.start)));
+        } else if (items.length && token.type === "flow-collection") {
+            // The new last item takes the removed one's trailing tokens, but a list keeps its closing bracket
+            const last = items[items.length-1].value;
+            last.end = (last.type === "flow-collection" ? last.end.slice(0, 1) : []).concat(removed.value?.end ?? []);
+        }
+    }
+}
+
+/** Replace the value of a CST map item with an empty flow sequence (`[]`) */
+function clearList(mapItem) {
+    const { value } = mapItem, { offset, indent } = value;
+    const newline = /\r?\n$/.exec(CST.stringify(value))?.[0] ?? "\n";
+    mapItem.sep = mapItem.sep.filter(t => t.type === "map-value-ind").concat({ type: "space", offset, indent, source: " " });
+    mapItem.value = {
+        type: "flow-collection", offset, indent,
+        start: { type: "flow-seq-start", offset, indent, source: "[" },
+        items: [],
+        end: [{ type: "flow-seq-end", offset, indent, source: "]" }, { type: "newline", offset, indent, source: newline }]
+    };
+}
+
+function splitFrontMatter(text, filename) {
+    const match = /^---\r?\n((?:.*\r?\n)*?)---[ \t]*(?:\r?\n|$)/.exec(text);
+    if (!match) return {};
+    const
+        frontMatter = match[1],
+        start = match[0].indexOf("\n") + 1,
+        replace = newText => text.slice(0, start) + newText + text.slice(start + frontMatter.length),
+        parsed = parseDocument(frontMatter, {keepSourceTokens: true})
+    ;
+    if (parsed.errors.length) {
+        const error = `YAML issue with ${filename}: ${parsed.errors[0]}`;
+        console.error(error); new Notice(error + "; skipping frontmatter");
+        return {frontMatter};
+    }
+    const map = parsed.contents?.srcToken?.type === "block-map" ? parsed.contents.srcToken : undefined;
+    return {frontMatter, parsed, map, replace, json: map ? parsed.toJSON() : {}};
+}
+
+function findKey(map, name) {
+    return map?.items.find(item => CST.resolveAsScalar(item.key)?.value.toLowerCase() === name.toLowerCase());
+}
+
+/** The front matter property a note uses for its tags (e.g. `tags`, or `tag` if it uses that instead) */
+export function tagsProperty(frontmatter) {
+    return Object.keys(frontmatter || {}).find(k => /^tags?$/i.test(k)) ?? "tags";
+}
+
+/**
+ * Add values to a list property in the front matter, creating the property (or the front matter) if needed
+ *
+ * Values already present are skipped, and a comma-separated string property is added to as a string.
+ */
+export function addToFrontMatter(text, name, values, filename = "") {
+    const
+        {frontMatter, parsed, map, replace, json} = splitFrontMatter(text, filename),
+        newProperty = [`${name}:`, ...values.map(v => `  - ${stringify(v).trimEnd()}`), ""].join("\n")
+    ;
+    if (frontMatter === undefined) return "---\n" + newProperty + "---\n" + text;
+    if (!parsed) return text;
+    if (!map) {
+        // Only add to empty front matter; anything else isn't a mapping, so leave it alone
+        return frontMatter.trim() ? text : replace(newProperty);
+    }
+
+    const item = findKey(map, name), current = item && json[CST.resolveAsScalar(item.key).value];
+    const existing = new Set([].concat(current ?? []).flatMap(v => String(v).split(/\s*,\s*/)).map(v => v.toLowerCase()));
+    values = values.filter(v => !existing.has(String(v).toLowerCase()));
+    if (!values.length) return text;
+
+    if (!item) return replace(frontMatter + newProperty);
+
+    const { value } = item, newline = /\r?\n$/.exec(CST.stringify(value ?? {type: "scalar", source: ""}))?.[0] ?? "\n";
+    if (value?.type === "block-seq") {
+        const last = value.items[value.items.length-1], indent = value.indent;
+        for (const v of values) value.items.push({
+            start: [
+                {type: "space", offset: -1, indent: 0, source: " ".repeat(indent)},
+                ...last.start.slice(last.start.findIndex(t => t.type === "seq-item-ind"))
+            ],
+            value: CST.createScalarToken(v, {indent: indent + 2, end: [{type: "newline", offset: -1, indent, source: newline}]})
+        });
+    } else if (value?.type === "flow-collection" && value.start.source === "[") {
+        for (const v of values) {
+            const last = value.items[value.items.length-1], end = last?.value?.end ?? [];
+            if (last) last.value.end = [];
+            value.items.push({
+                start: value.items.length ? [{type: "comma", offset: -1, indent: 0, source: ","}, {type: "space", offset: -1, indent: 0, source: " "}] : [],
+                value: CST.createScalarToken(v, {indent: 0, inFlow: true, end})
+            });
+        }
+    } else if (value && CST.isScalar(value) && String(current ?? "").trim()) {
+        CST.setScalarValue(value, String(current).trimEnd() + ", " + values.join(", "), {afterKey: true});
+    } else {
+        // Empty or missing value: replace it with a block list
+        const { offset } = item.sep[0] ?? {offset: -1};
+        item.sep = [{type: "map-value-ind", offset, indent: 0, source: ":"}, {type: "newline", offset, indent: 0, source: newline}];
+        item.value = {type: "block-seq", offset, indent: 2, items: values.map(v => ({
+            start: [
+                {type: "space", offset, indent: 0, source: "  "},
+                {type: "seq-item-ind", offset, indent: 2, source: "-"},
+                {type: "space", offset, indent: 3, source: " "}
+            ],
+            value: CST.createScalarToken(v, {indent: 4, end: [{type: "newline", offset, indent: 4, source: newline}]})
+        }))};
+    }
+    return replace(CST.stringify(map));
+}
+
+/**
+ * Remove values for which `matches()` is true from a front matter property
+ *
+ * List items are removed individually; a single (non-list) matching value removes the whole property.
+ */
+export function removeFromFrontMatter(text, name, matches, filename = "") {
+    const {map, replace, json} = splitFrontMatter(text, filename);
+    const item = findKey(map, name);
+    if (!item) return text;
+    const current = json[CST.resolveAsScalar(item.key).value];
+    if (Array.isArray(current)) {
+        const removed = current.map((v, i) => matches(v) ? i : -1).filter(i => i >= 0);
+        if (!removed.length) return text;
+        removeItems(item.value, removed);
+        if (!item.value.items.length) clearList(item);
+    } else if (current != null && matches(current)) {
+        map.items.splice(map.items.indexOf(item), 1);
+    } else {
+        return text;
+    }
+    return replace(CST.stringify(map));
+}
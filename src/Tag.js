@@ -1,4 +1,6 @@
 const tagBody = /^#[^\u2000-\u206F\u2E00-\u2E7F'!"#$%&()*+,.:;<=>?@^`{|}~\[\]\\\s]+$/;
+const tagPrefix = new RegExp(tagBody.source.slice(0, -1));  // same, but without the trailing `$`
+const tagInText = new RegExp(`(?<=^|\\s)${tagBody.source.slice(1, -1)}`, "g");  // unanchored, after whitespace
 
 export class Tag {
     constructor(name) {
@@ -11,6 +13,12 @@ export class Tag {
             text = text.toLowerCase();
             return text == canonical || text.startsWith(canonical_prefix);
         };
+        this.matchesExact = function (text) {
+            return text.toLowerCase() == canonical;
+        };
+        this.matchesChild = function (text) {
+            return text.toLowerCase().startsWith(canonical_prefix);
+        };
     }
     toString() { return this.tag; }
 
@@ -32,13 +40,32 @@ export class Tag {
 
 export class Replacement {
 
-    constructor(fromTag, toTag) {
+    /**
+     * @param {Tag} fromTag
+     * @param {Tag} toTag
+     * @param {"all"|"exact"|"children"} mode rename the tag and its sub-tags, only the tag, or only its sub-tags
+     */
+    constructor(fromTag, toTag, mode = "all") {
         const cache =  Object.assign(
-            Object.create(null), {
+            Object.create(null), mode === "children" ? {} : {
                 [fromTag.tag]:  toTag.tag,
                 [fromTag.name]: toTag.name,
-            }
+            },
+            // Exact mode can't rely on the sub-tag handling below, so it matches case variants here
+            mode === "exact" ? {
+                [fromTag.canonical]: toTag.tag,
+                [fromTag.canonical.slice(1)]: toTag.name,
+            } : {}
         );
+        const renameChildren = mode !== "exact";
+
+        this.fromTag = fromTag;
+        this.toTag = toTag;
+        this.mode = mode;
+        this.toString = () => ({
+            all: `${fromTag} → ${toTag}`, exact: `${fromTag} → ${toTag} (not sub-tags)`, children: `${fromTag}/* → ${toTag}/*`
+        })[mode];
+        this.matches = {all: fromTag.matches, exact: fromTag.matchesExact, children: fromTag.matchesChild}[mode];
 
         this.inString = function(text, pos = 0) {
             return text.slice(0, pos) + toTag.tag + text.slice(pos + fromTag.tag.length);
@@ -59,6 +86,8 @@ export class Replacement {
                 const lc = t.toLowerCase();
                 if (cache[lc]) {
                     return cache[t] = cache[lc];
+                } else if (!renameChildren) {
+                    return cache[t] = cache[lc] = t;
                 } else if (lc.startsWith(fromTag.canonical_prefix)) {
                     return cache[t] = cache[lc] = this.inString(t);
                 } else if (("#" + lc).startsWith(fromTag.canonical_prefix)) {
@@ -74,7 +103,7 @@ export class Replacement {
 
             const existing = new Set(tagNames.map(s => s.toLowerCase()));
 
-            for (const tagName of tagNames.filter(fromTag.matches)) {
+            for (const tagName of tagNames.filter(this.matches)) {
                 const changed = this.inString(tagName);
                 if (existing.has(changed.toLowerCase()))
                     return [new Tag(tagName), new Tag(changed)];
@@ -84,4 +113,134 @@ export class Replacement {
     }
 }
 
+/**
+ * Find the tags in plain markdown text (e.g. a canvas card), ignoring code spans and blocks
+ *
+ * @returns {{tag: string, offset: number}[]}
+ */
+export function findTags(text) {
+    const masked = text.replace(/```[^]*?(?:```|$)|`[^`\n]*`/g, m => "!".repeat(m.length));
+    return Array.from(masked.matchAll(tagInText), m => ({tag: m[0], offset: m.index}))
+        .filter(({tag}) => Tag.isTag(tag) && !/^#\d+$/.test(tag));  // all-numeric tags aren't tags
+}
+
+/**
+ * Join alternating value/separator parts (as split by a regex with a capture group),
+ * dropping values that were removed (set to `null`) along with one adjacent separator.
+ */
+export function joinParts(parts) {
+    parts = parts.slice();
+    for (let i = 0; i < parts.length; i += 2) {
+        if (parts[i] !== null) continue;
+        // Drop the preceding separator if something precedes it, otherwise the following one
+        const before = parts.slice(0, i - 1).filter((p, j) => !(j & 1) && p).length;
+        if (before && i > 0) parts[i - 1] = null; else if (i + 1 < parts.length) parts[i + 1] = null;
+    }
+    return parts.filter(p => p !== null).join("");
+}
+
+export class Removal {
+
+    /**
+     * Like a Replacement, but removes matching tags: from text (along with surrounding whitespace,
+     * or the whole line if nothing else is on it), and from arrays (by returning `null` for them).
+     * Aliases are left alone, so removing a tag doesn't quietly turn its tag page into a plain note.
+     *
+     * @param {Tag} tag
+     * @param {boolean} withSubTags also remove the tag's sub-tags
+     */
+    constructor(tag, withSubTags = false) {
+        this.tag = tag;
+        this.matches = withSubTags ? tag.matches : tag.matchesExact;
+        this.toString = () => `Delete ${tag}${withSubTags ? " (and sub-tags)" : ""}`;
+
+        this.inString = function(text, pos = 0) {
+            const found = tagPrefix.exec(text.slice(pos))?.[0];
+            if (!found) return text;
+            let start = pos, end = pos + found.length;
+            const
+                lineStart = text.lastIndexOf("\n", pos - 1) + 1,
+                lineEnd = text.indexOf("\n", end) < 0 ? text.length : text.indexOf("\n", end),
+                onlyBefore = !text.slice(lineStart, start).trim(),
+                onlyAfter = !text.slice(end, lineEnd).trim()
+            ;
+            if (onlyBefore && onlyAfter) {
+                // Nothing else on the line: remove the line, with its line ending
+                start = lineStart;
+                end = lineEnd < text.length ? lineEnd + 1 : lineEnd;
+                if (end === text.length && start > 0) start--;
+            } else if (onlyBefore) {
+                // Keep indentation, drop the whitespace that followed the tag
+                while (end < lineEnd && /[ \t]/.test(text[end])) end++;
+            } else {
+                while (start > lineStart && /[ \t]/.test(text[start - 1])) start--;
+            }
+            return text.slice(0, start) + text.slice(end);
+        };
+
+        this.inArray = (tags, skipOdd, isAlias) => {
+            return tags.map((t, i) => {
+                if (skipOdd && (i & 1)) return t;   // leave odd entries (separators) alone
+                if (!t || typeof t !== "string" || isAlias) return t;
+                if (/[ ,\n]/.test(t)) {
+                    // Obsidian allows spaces as separators within array elements
+                    return joinParts(this.inArray(t.split(/([, \n]+)/), true)) || null;
+                }
+                return this.matches(Tag.toTag(t)) ? null : t;
+            });
+        };
+    }
+}
+
+export class ReplacementSet {
+
+    /** @param {Replacement[]} replacements should not overlap or chain; check with conflicts() first */
+    constructor(replacements) {
+        this.replacements = replacements;
+
+        this.matches = function (text) {
+            return replacements.some(r => r.matches(text));
+        };
+
+        this.inString = function (text, pos = 0) {
+            const tag = tagPrefix.exec(text.slice(pos))?.[0];
+            const replace = tag && replacements.find(r => r.matches(tag));
+            return replace ? replace.inString(text, pos) : text;
+        };
+
+        this.inArray = function (tags, skipOdd, isAlias) {
+            return replacements.reduce((tags, r) => r.inArray(tags, skipOdd, isAlias), tags);
+        };
+
+        this.willMergeTags = function (tagNames) {
+            const clashes = replacements.map(r => r.willMergeTags(tagNames)).filter(Boolean);
+            // Different tags renamed to the same new tag also merge
+            const renamed = new Map();
+            for (const r of replacements) {
+                const key = r.toTag.canonical, other = renamed.get(key);
+                if (other) clashes.push([r.fromTag, r.toTag]); else renamed.set(key, r);
+            }
+            return clashes;
+        };
+    }
+
+    /** Return a list of problems that would make the result depend on the order of replacements */
+    conflicts() {
+        const problems = [], {replacements} = this;
+        replacements.forEach((a, i) => replacements.forEach((b, j) => {
+            if (i === j) return;
+            if (a.fromTag.canonical === b.fromTag.canonical) {
+                // "exact" and "children" on the same tag are the only combination that doesn't overlap
+                if (i < j && (a.mode === b.mode || a.mode === "all" || b.mode === "all"))
+                    problems.push(`${a.fromTag} is renamed by both ${a} and ${b}`);
+            } else if (i < j && (b.matches(a.fromTag.tag) || a.matches(b.fromTag.tag))) {
+                problems.push(`${a} overlaps with ${b}`);
+            }
+            if (b.matches(a.toTag.tag) || a.mode !== "exact" && a.toTag.matchesChild(b.fromTag.tag))
+                problems.push(`${a} chains into ${b}`);
+        }));
+        return Array.from(new Set(problems));
+    }
+}
+
 
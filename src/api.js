@@ -0,0 +1,123 @@
+import {Removal, Replacement, Tag} from "./Tag";
+import {allTags, applyChanges, beginRename, findTargets, renameTag} from "./renaming";
+import {deleteTag} from "./deleting";
+import {toScope} from "./scope";
+
+/**
+ * @typedef {{
+ *   changed: string[], skipped: {path: string, reason: string}[], errors: string[],
+ *   merges: {from: string, into: string}[], changes?: {path: string, changes: object[]}[]
+ * }} OperationResult
+ *
+ * `changed` and `skipped` are file paths (skipped files couldn't be safely updated), `errors` are reasons the
+ * operation couldn't be done at all, `merges` are existing tags that a rename will merge, and `changes` (for
+ * dry runs only) lists the changes that would be made to each file.
+ */
+
+/**
+ * Tag operations for other plugins and scripts, available as `app.plugins.plugins["tag-wrangler"].api`
+ *
+ * Unless `confirm` is true, operations run without prompts, progress dialogs, or notices, and return
+ * an OperationResult.  Changes are recorded in the rename history, so they can be undone by the user.
+ */
+export class TagWranglerAPI {
+
+    constructor(plugin) {
+        this.plugin = plugin;
+    }
+
+    /**
+     * Rename a tag (and, by default, its sub-tags)
+     *
+     * With `confirm: true`, the usual rename dialog is shown, with the new name filled in, and the
+     * result is undefined if the user cancels or doesn't change the name.  A `scope` (a folder or folder
+     * path, or a list of file paths) limits the rename to those files.  Tag pages are renamed along with the
+     * tag if the user's "rename tag pages" setting is on, unless `renamePages` says otherwise.
+     *
+     * @param {{mode?: "all"|"exact"|"children", confirm?: boolean, dryRun?: boolean, renamePages?: boolean,
+     *   scope?: string|string[]|import("obsidian").TFolder}} opts
+     * @returns {Promise<OperationResult|undefined>}
+     */
+    async renameTag(from, to, {mode="all", confirm=false, dryRun=false, renamePages=this.plugin.settings.renameTagPages, scope}={}) {
+        const plugin = this.plugin, fromName = Tag.toName(from), toName = Tag.toName(to);
+        scope = toScope(scope);
+        if (confirm) {
+            const result = await renameTag(plugin, fromName, toName, {mode, renamePages, scope});
+            return result && this.result(result);
+        }
+
+        const errors = [fromName, toName].filter(n => !Tag.isTag(Tag.toTag(n))).map(n => `"${n}" is not a valid tag name`);
+        if (!errors.length && fromName === toName) errors.push("the new name is the same as the old one");
+        if (errors.length) return {changed: [], skipped: [], errors, merges: []};
+
+        const replace = new Replacement(new Tag(fromName), new Tag(toName), mode);
+        const clash = replace.willMergeTags(allTags(plugin.app, scope).reverse());
+        const merges = clash ? [{from: clash[0].tag, into: clash[1].tag}] : [];
+        return this.apply(replace, dryRun, () => beginRename(plugin, replace, scope), {renamePages, merges, scope});
+    }
+
+    /**
+     * Remove a tag (and optionally its sub-tags) from every note
+     *
+     * With `confirm: true`, the usual delete dialog is shown (which asks about sub-tags itself),
+     * and the result is undefined if the user cancels.
+     *
+     * @param {{withSubTags?: boolean, confirm?: boolean, dryRun?: boolean}} opts
+     * @returns {Promise<OperationResult|undefined>}
+     */
+    async deleteTag(tagName, {withSubTags=false, confirm=false, dryRun=false}={}) {
+        const plugin = this.plugin, name = Tag.toName(tagName);
+        if (confirm) {
+            const result = await deleteTag(plugin, name);
+            return result && this.result(result);
+        }
+        if (!Tag.isTag(Tag.toTag(name))) return {changed: [], skipped: [], errors: [`"${name}" is not a valid tag name`], merges: []};
+
+        const tag = new Tag(name), removal = new Removal(tag, withSubTags);
+        return this.apply(removal, dryRun, () => plugin.journal.begin(String(removal), {tag: tag.tag, withSubTags}));
+    }
+
+    /**
+     * Paths of the files using a tag (the files a rename or delete would change)
+     *
+     * @param {{mode?: "all"|"exact"|"children", scope?: string|string[]|import("obsidian").TFolder, canvas?: boolean}} opts
+     *   which of the tag and its sub-tags to look for, where, and whether to search canvas text cards too (the default)
+     * @returns {Promise<string[]>}
+     */
+    async findTargets(tagName, {mode="all", scope, canvas=true}={}) {
+        const tag = new Tag(Tag.toName(tagName)), plugin = this.plugin;
+        const matches = {all: tag.matches, exact: tag.matchesExact, children: tag.matchesChild}[mode];
+        return (await findTargets(plugin.app, tag, {
+            matches, canvas, quiet: true, scope: toScope(scope), properties: plugin.tagProperties
+        })).map(t => t.filename);
+    }
+
+    /** The tag page for a tag, if there is one */
+    getTagPage(tagName) {
+        return this.plugin.tagPage(tagName);
+    }
+
+    /**
+     * Return a tag's page, creating it first if it doesn't exist
+     *
+     * @param {{open?: boolean}} opts whether to open the page (in a new tab) if it's created
+     * @returns {Promise<import("obsidian").TFile>}
+     */
+    async createTagPage(tagName, {open=false}={}) {
+        return this.getTagPage(tagName) ?? await this.plugin.createTagPage(tagName, true, open);
+    }
+
+    async apply(replace, dryRun, begin, {renamePages=false, merges=[], scope}={}) {
+        const targets = await findTargets(this.plugin.app, undefined, {matches: replace.matches, canvas: true, quiet: true, scope, properties: this.plugin.tagProperties});
+        if (dryRun) {
+            const changes = [];
+            for (const target of targets) changes.push({path: target.filename, changes: await target.preview(replace)});
+            return {changed: [], skipped: [], errors: [], merges, changes: changes.filter(c => c.changes.length)};
+        }
+        return {...this.result(await applyChanges(this.plugin, targets, replace, begin(), {renamePages, scope})), merges};
+    }
+
+    result({changed, failed}) {
+        return {changed, skipped: failed, errors: [], merges: []};
+    }
+}
@@ -0,0 +1,77 @@
+import {DropdownComponent, Notice, parseFrontMatterAliases, parseFrontMatterTags} from "obsidian";
+import {Confirm} from "@ophidian/core";
+import {Tag} from "./Tag";
+import {renameTags} from "./renaming";
+import {listEl} from "./report";
+
+const policies = {
+    lowercase: "Lowercase",
+    frequent:  "Most frequently used variant",
+    page:      "Tag page alias (or most frequent, if no tag page)",
+};
+
+/** Count each case variant of each tag in use, as a map from canonical tag to a map of variant counts */
+export function tagVariants(app) {
+    const variants = new Map();
+    function count(tag) {
+        tag = Tag.toTag(tag);
+        const key = tag.toLowerCase();
+        if (!variants.has(key)) variants.set(key, new Map());
+        const counts = variants.get(key);
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+    for (const filename of app.metadataCache.getCachedFiles()) {
+        const { frontmatter, tags } = app.metadataCache.getCache(filename) || {};
+        (tags || []).forEach(t => t.tag && count(t.tag));
+        (parseFrontMatterTags(frontmatter) || []).forEach(count);
+        (parseFrontMatterAliases(frontmatter) || []).filter(Tag.isTag).forEach(count);
+    }
+    return variants;
+}
+
+/** Pick the casing to use for a tag, given its variants */
+export function chooseVariant(plugin, canonical, counts, policy) {
+    if (policy === "lowercase") return canonical;
+    if (policy === "page" && plugin.tagPages.has(canonical)) return plugin.tagPages.get(canonical).tag;
+    return Array.from(counts).reduce((best, next) => next[1] > best[1] ? next : best)[0];
+}
+
+export async function normalizeCasing(plugin) {
+    const variants = tagVariants(plugin.app);
+    let policy = "frequent";
+
+    function changes() {
+        const result = [];
+        for (const [canonical, counts] of variants) {
+            const chosen = chooseVariant(plugin, canonical, counts, policy);
+            if (Array.from(counts.keys()).some(v => v !== chosen)) result.push({canonical, counts, chosen});
+        }
+        return result;
+    }
+
+    const summary = createDiv();
+    function update() {
+        summary.empty();
+        const found = changes();
+        summary.createEl("p", {
+            text: found.length ? `${found.length} tag(s) will be changed to a consistent case:` : "All tags are already consistently cased."
+        });
+        summary.append(listEl(found, ({counts, chosen}, li) => li.setText(
+            Array.from(counts, ([v, n]) => `${v} (${n})`).join(", ") + ` → ${chosen}`
+        )));
+    }
+
+    const dialog = new Confirm()
+        .setTitle("Normalize tag casing")
+        .setContent("Choose which case variant each tag should be renamed to:")
+        .setContent(createDiv(undefined, el => {
+            new DropdownComponent(el).addOptions(policies).setValue(policy).onChange(v => { policy = v; update(); });
+            el.appendChild(summary);
+        }));
+    update();
+    if (!await dialog.confirm()) return;
+
+    const mappings = changes().map(({canonical, chosen}) => ({from: canonical, to: chosen, mode: "exact"}));
+    if (!mappings.length) return new Notice("All tags are already consistently cased.");
+    return renameTags(plugin, mappings, `Normalizing casing of ${mappings.length} tag(s)`);
+}
@@ -0,0 +1,62 @@
+import {Notice} from "obsidian";
+import {Confirm} from "@ophidian/core";
+import {Progress} from "./progress";
+import {Removal, Tag} from "./Tag";
+import {applyChanges, findTargets, hasSubTags, targetFile} from "./renaming";
+import {reportFailures} from "./report";
+
+export async function deleteTag(plugin, tagName) {
+    const
+        app = plugin.app,
+        tag = new Tag(tagName),
+        withSubTags = await confirmDelete(plugin, tag)
+    ;
+    if (withSubTags === undefined) return;  // cancelled
+
+    const removal = new Removal(tag, withSubTags);
+    const targets = await findTargets(app, tag, {matches: removal.matches, canvas: true, properties: plugin.tagProperties});
+    if (!targets) return;
+
+    const progress = new Progress(`Deleting ${tag}${withSubTags ? "/*" : ""}`, "Processing files...");
+    const op = plugin.journal.begin(String(removal), {tag: tag.tag, withSubTags});
+    const result = await applyChanges(plugin, targets, removal, op, {progress});
+    reportFailures(op.title, targets);
+
+    new Notice(`Operation ${result.aborted ? "cancelled" : "complete"}: ${result.changed.length} file(s) updated`);
+    return result;
+}
+
+/** Ask for confirmation, returning whether to include sub-tags, or undefined if cancelled */
+async function confirmDelete(plugin, tag) {
+    let withSubTags = false;
+    const
+        app = plugin.app,
+        properties = plugin.tagProperties,
+        files = app.metadataCache.getCachedFiles(),
+        count = {
+            false: files.filter(f => targetFile(app, f, tag.matchesExact, properties)).length,
+            true:  hasSubTags(app, tag.name) ? files.filter(f => targetFile(app, f, tag.matches, properties)).length : 0,
+        },
+        message = createEl("p"),
+        update = () => message.setText(
+            `Remove ${tag}${withSubTags ? " and its sub-tags" : ""} from ${count[withSubTags]} file(s)?  ` +
+            "Tags will be removed from note bodies and front matter tags, but not from aliases."
+        )
+    ;
+    update();
+    const content = createDiv(undefined, el => {
+        el.appendChild(message);
+        if (count[true]) el.createEl("label", undefined, label => {
+            const box = label.createEl("input", {type: "checkbox"});
+            box.addEventListener("change", () => { withSubTags = box.checked; update(); });
+            label.append(` Also delete sub-tags (${tag}/...)`);
+        });
+    });
+    const ok = await new Confirm()
+        .setTitle(`Delete ${tag}`)
+        .setContent(content)
+        .setup(c => c.okButton.addClass("mod-warning"))
+        .confirm()
+    ;
+    if (ok) return withSubTags;
+}
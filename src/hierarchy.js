@@ -0,0 +1,123 @@
+import { Notice } from "obsidian";
+import { Confirm } from "@ophidian/core";
+import { Tag } from "./Tag";
+import { listEl } from "./report";
+
+const startMarker = "%% tag-wrangler:hierarchy %%", endMarker = "%% /tag-wrangler:hierarchy %%";
+const section = /%% tag-wrangler:hierarchy %%[^]*?%% \/tag-wrangler:hierarchy %%\r?\n?/;
+
+/**
+ * List tag pages (optionally only those within a scope) with their primary (first) tag alias, as `{file, tag}`
+ *
+ * Take this snapshot *before* renaming tags, since the aliases change as soon as the metadata cache sees the rename.
+ */
+export function pageTags(plugin, scope) {
+    return Array.from(plugin.pageAliases, ([file, aliases]) => ({file, tag: Tag.toTag(aliases[0])}))
+        .filter(p => !scope || scope.includes(p.file.path));
+}
+
+/**
+ * Map canonical tags to their pages, as `canonical => {tag, file}`
+ *
+ * If `replace` is given (a Replacement, ReplacementSet, or Removal), the tags are the ones
+ * the pages will have after it's applied (to the pages within `scope`, if given), so the
+ * hierarchy can be updated as part of a rename.
+ */
+function tagPages(pages, replace, scope) {
+    const result = new Map();
+    for (let {file, tag} of pages) {
+        if (replace?.matches(tag) && (!scope || scope.includes(file.path))) tag = replace.inString(tag);
+        if (Tag.isTag(tag)) result.set(Tag.canonical(tag), {tag, file});
+    }
+    return result;
+}
+
+/** Parent tags of a tag, nearest first: `#a/b/c` => `["#a/b", "#a"]` */
+function ancestors(tag) {
+    const parts = Tag.toName(tag).split("/");
+    return parts.slice(1).map((_, i) => "#" + parts.slice(0, parts.length - 1 - i).join("/"));
+}
+
+/** The page for the nearest parent tag that has one */
+function parentPage(pages, tag) {
+    for (const parent of ancestors(tag)) {
+        const page = pages.get(Tag.canonical(parent));
+        if (page) return page;
+    }
+}
+
+function hierarchySection(app, pages, page) {
+    const
+        link = p => app.fileManager.generateMarkdownLink(p.file, page.file.path, undefined, p.tag),
+        parent = parentPage(pages, page.tag),
+        children = Array.from(pages.values())
+            .filter(p => parentPage(pages, p.tag) === page)
+            .sort((a, b) => a.tag.localeCompare(b.tag)),
+        lines = [startMarker]
+    ;
+    if (parent) lines.push(`Parent: ${link(parent)}`);
+    if (children.length) lines.push("Children:", ...children.map(c => "- " + link(c)));
+    lines.push(endMarker);
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Update the hierarchy section of every tag page that has one, adding it to the pages in `add`
+ *
+ * @param {{replace?: any, before?: {tag: string, file: import("obsidian").TFile}[], add?: import("obsidian").TFile[],
+ *   extra?: {tag: string, file: import("obsidian").TFile}[], scope?: import("./scope").Scope,
+ *   op?: import("./journal").Operation}} opts
+ *   `before` is a pageTags() snapshot from before `replace` was applied (within `scope`), and `extra`
+ *   pages are ones not yet seen by the metadata cache
+ * @returns {Promise<number>} the number of pages changed
+ */
+export async function updateHierarchy(plugin, {replace, before = pageTags(plugin), add = [], extra = [], scope, op} = {}) {
+    const app = plugin.app, vault = app.vault, pages = tagPages(before, replace, scope);
+    for (const page of extra) pages.set(Tag.canonical(page.tag), page);
+    let changed = 0;
+    for (const page of pages.values()) {
+        if (!add.includes(page.file) && !section.test(await vault.cachedRead(page.file))) continue;
+        const content = hierarchySection(app, pages, page);
+        let original;
+        const after = await vault.process(page.file, text => {
+            original = text;
+            if (section.test(text)) return text.replace(section, () => content);
+            return text.replace(/\s*$/, "") + "\n\n" + content;
+        });
+        if (after !== original) {
+            await op?.record(page.file.path, original, after);
+            changed++;
+        }
+    }
+    return changed;
+}
+
+/** Add or update parent and child links on all tag pages, optionally creating missing intermediate pages */
+export async function linkHierarchy(plugin) {
+    const pages = tagPages(pageTags(plugin));
+    if (!pages.size) return new Notice("There are no tag pages to link.");
+
+    const missing = new Set();
+    for (const { tag } of pages.values()) for (const parent of ancestors(tag)) {
+        if (!pages.has(Tag.canonical(parent))) missing.add(parent);
+    }
+    const extra = [];
+    if (missing.size && await new Confirm()
+        .setTitle("Link tag page hierarchy")
+        .setContent(
+            `${missing.size} parent tag(s) have no tag page.  Create them?  ` +
+            "(If not, pages will link to the nearest parent tag that has a page.)"
+        )
+        .setContent(listEl(missing))
+        .confirm()
+    ) {
+        for (const tag of missing) extra.push({tag, file: await plugin.createTagPage(tag, false, false)});
+    }
+
+    const op = plugin.journal.begin("Link tag page hierarchy");
+    const changed = await updateHierarchy(plugin, {
+        add: Array.from(pages.values(), p => p.file).concat(extra.map(p => p.file)), extra, op
+    });
+    await op.commit();
+    return new Notice(`Tag page hierarchy updated: ${changed} page(s) changed`);
+}
@@ -0,0 +1,97 @@
+import { getAllTags, HoverPopover, Keymap, Notice } from "obsidian";
+import { Tag } from "./Tag";
+
+const recentNotes = 8, maxChildren = 10;
+
+/** True if Obsidian's page preview settings call for a hover preview from `source` for this event */
+export function wantsHover(app, source, event) {
+    const pagePreview = app.internalPlugins.getPluginById("page-preview");
+    if (!pagePreview?.enabled) return false;
+    const requireMod = pagePreview.instance?.overrides?.[source] ?? app.workspace.hoverLinkSources?.[source]?.defaultMod;
+    return !requireMod || Keymap.isModEvent(event);
+}
+
+/**
+ * Show a hover popover for a tag without a tag page: its use count, sub-tags, and most recently
+ * modified notes, with a button to create its tag page
+ *
+ * @param {import("obsidian").HoverParent} parent
+ */
+export function showTagSummary(plugin, parent, targetEl, tagName) {
+    if (parent.hoverPopover?.targetEl === targetEl) return;  // already showing (or about to)
+    new TagSummary(plugin, parent, targetEl, new Tag(tagName));
+}
+
+class TagSummary extends HoverPopover {
+
+    constructor(plugin, parent, targetEl, tag) {
+        super(parent, targetEl);
+        this.plugin = plugin;
+        this.tag = tag;
+    }
+
+    /** Gather the summary only once the hover delay is over and the popover is actually shown */
+    onShow() {
+        super.onShow?.();
+        if (this.rendered) return;
+        this.rendered = true;
+        try {
+            this.render();
+        } catch (e) {
+            console.error(e);
+            new Notice(`Couldn't summarize ${this.tag}: ${e}`);
+            this.hide();
+        }
+    }
+
+    render() {
+        const
+            { plugin: { app }, tag } = this,
+            counts = Object.entries(app.metadataCache.getTags()),
+            uses = counts.filter(([t]) => tag.matchesExact(t)).reduce((sum, [, n]) => sum + n, 0),
+            children = counts.filter(([t]) => tag.matchesChild(t)).sort(([a], [b]) => a.localeCompare(b)),
+            files = app.metadataCache.getCachedFiles()
+                .filter(path => (getAllTags(app.metadataCache.getCache(path) || {}) || []).some(tag.matchesExact))
+                .map(path => app.vault.getAbstractFileByPath(path)).filter(Boolean)
+                .sort((a, b) => b.stat.mtime - a.stat.mtime)
+        ;
+        const el = this.hoverEl.createDiv({cls: "tag-wrangler-summary"});
+        el.createEl("h4", {text: tag.tag});
+        el.createDiv({text: `${uses} use(s) in ${files.length} note(s)`});
+
+        if (children.length) {
+            el.createDiv({cls: "tag-wrangler-summary-heading", text: "Sub-tags:"});
+            el.createDiv(undefined, list => {
+                for (const [child, n] of children.slice(0, maxChildren)) list.createSpan(
+                    {cls: "tag", text: child}, span => span.append(` (${n})`)
+                );
+                if (children.length > maxChildren) list.append(`and ${children.length - maxChildren} more`);
+            });
+        }
+
+        if (files.length) {
+            el.createDiv({cls: "tag-wrangler-summary-heading", text: "Recently modified notes:"});
+            el.createEl("ul", undefined, list => {
+                for (const file of files.slice(0, recentNotes)) list.createEl("li").createEl(
+                    "a", {cls: "internal-link", text: file.basename, href: file.path}, a => a.addEventListener("click", e => {
+                        e.preventDefault();
+                        this.hide();
+                        app.workspace.openLinkText(file.path, "", Keymap.isModEvent(e));
+                    })
+                );
+                if (files.length > recentNotes) list.createEl("li").createEl(
+                    "a", {text: `and ${files.length - recentNotes} more...`, href: "#"}, a => a.addEventListener("click", e => {
+                        e.preventDefault();
+                        this.hide();
+                        app.internalPlugins.getPluginById("global-search")?.instance?.openGlobalSearch("tag:" + tag.tag);
+                    })
+                );
+            });
+        }
+
+        el.createEl("button", {text: "Create tag page"}, b => b.addEventListener("click", e => {
+            this.hide();
+            this.plugin.createTagPage(tag.name, Keymap.isModEvent(e));
+        }));
+    }
+}
@@ -0,0 +1,152 @@
+import { Modal, normalizePath, Notice, Setting } from "obsidian";
+
+const maxOperations = 50;
+
+async function digest(text) {
+    const hash = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(hash), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export class Operation {
+
+    constructor(journal, title, details) {
+        this.journal = journal;
+        this.id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+        this.time = Date.now();
+        this.title = title;
+        this.details = details || {};
+        this.files = [];
+    }
+
+    /** Record a file change; `before` is kept so it can be restored, `after` only as a hash */
+    async record(path, before, after) {
+        this.files.push({ path, before, after: await digest(after) });
+    }
+
+    /** Record a file being renamed or moved */
+    recordRename(from, to) {
+        this.files.push({ path: to, renamedFrom: from });
+    }
+
+    async commit() {
+        if (this.files.length) await this.journal.save(this);
+    }
+
+    toJSON() {
+        const { id, time, title, details, files, undone } = this;
+        return { id, time, title, details, files, undone };
+    }
+}
+
+export class Journal {
+
+    constructor(plugin) {
+        this.app = plugin.app;
+        this.dir = normalizePath(plugin.manifest.dir + "/journal");
+    }
+
+    begin(title, details) {
+        return new Operation(this, title, details);
+    }
+
+    async save(op) {
+        const adapter = this.app.vault.adapter;
+        if (!await adapter.exists(this.dir)) await adapter.mkdir(this.dir);
+        await adapter.write(`${this.dir}/${op.id}.json`, JSON.stringify(op));
+        const old = (await this.list()).slice(maxOperations);
+        for (const { id } of old) await adapter.remove(`${this.dir}/${id}.json`);
+    }
+
+    /** Return saved operations, most recent first */
+    async list() {
+        const adapter = this.app.vault.adapter;
+        if (!await adapter.exists(this.dir)) return [];
+        const ops = [];
+        for (const path of (await adapter.list(this.dir)).files) {
+            if (!path.endsWith(".json")) continue;
+            try {
+                ops.push(JSON.parse(await adapter.read(path)));
+            } catch (e) {
+                console.error(`Unreadable journal entry ${path}`, e);
+            }
+        }
+        return ops.sort((a, b) => b.time - a.time);
+    }
+
+    async undoLast() {
+        const op = (await this.list()).find(op => !op.undone);
+        if (!op) return new Notice("No tag rename to undo.");
+        return this.undo(op);
+    }
+
+    async undo(op) {
+        const vault = this.app.vault;
+        let restored = 0, refused = [];
+        // Undo in reverse order, in case a file was changed more than once
+        for (const entry of op.files.slice().reverse()) {
+            const { path, before, after, renamedFrom } = entry, file = vault.getAbstractFileByPath(path);
+            if (renamedFrom) {
+                if (!file || vault.getAbstractFileByPath(renamedFrom)) {
+                    refused.push(entry);
+                } else {
+                    await this.app.fileManager.renameFile(file, renamedFrom);
+                    restored++;
+                }
+                continue;
+            }
+            if (!file || await digest(await vault.read(file)) !== after) {
+                refused.push(entry);
+                continue;
+            }
+            await vault.modify(file, before);
+            restored++;
+        }
+        // Keep any refused files so the undo can be retried once they're fixed up
+        if (refused.length) op.files = refused.reverse(); else op.undone = Date.now();
+        await this.app.vault.adapter.write(`${this.dir}/${op.id}.json`, JSON.stringify(op));
+
+        if (refused.length) console.warn(`Not undone (changed since "${op.title}"):`, refused.map(e => e.path));
+        return new Notice(
+            `Undo of "${op.title}" complete: ${restored} file(s) restored` +
+            (refused.length ? `, ${refused.length} skipped because they changed since (see console)` : "")
+        );
+    }
+}
+
+export class HistoryModal extends Modal {
+
+    constructor(journal) {
+        super(journal.app);
+        this.journal = journal;
+    }
+
+    async onOpen() {
+        this.titleEl.setText("Tag rename history");
+        this.contentEl.empty();
+        const ops = await this.journal.list();
+        if (!ops.length) {
+            this.contentEl.createEl("p", {text: "No tag renames have been recorded yet."});
+            return;
+        }
+        for (const op of ops) {
+            new Setting(this.contentEl)
+                .setName(op.title)
+                .setDesc(
+                    `${new Date(op.time).toLocaleString()} — ${op.files.length} file(s)` +
+                    (op.undone ? ` — undone ${new Date(op.undone).toLocaleString()}` : "")
+                )
+                .addButton(b => b
+                    .setButtonText("Revert")
+                    .setDisabled(!!op.undone)
+                    .onClick(async () => {
+                        await this.journal.undo(op);
+                        this.onOpen();
+                    })
+                );
+        }
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
@@ -0,0 +1,131 @@
+import {getLinkpath, Notice} from "obsidian";
+import {Confirm} from "@ophidian/core";
+import {Progress} from "./progress";
+import {Removal, Tag} from "./Tag";
+import {addToFrontMatter, File, removeFromFrontMatter, tagsProperty} from "./File";
+import {findTargets} from "./renaming";
+import {reportFailures} from "./report";
+
+/**
+ * The links in a note's front matter, as `{key, link, original}`.  Obsidian only indexes these itself
+ * (as `frontmatterLinks`) from version 1.4, so for earlier versions they're found in the parsed values.
+ */
+function frontmatterLinks(cache) {
+    if (cache.frontmatterLinks) return cache.frontmatterLinks;
+    const links = [];
+    for (const [key, value] of Object.entries(cache.frontmatter || {})) [].concat(value).forEach((v, i) => {
+        const link = typeof v === "string" && /^\[\[([^\]|]+)(?:\|[^\]]*)?\]\]$/.exec(v.trim())?.[1];
+        if (link) links.push({key: Array.isArray(value) ? `${key}.${i}` : key, link, original: v});
+    });
+    return links;
+}
+
+/** Replace uses of a tag with links to its tag page (creating the page if needed) */
+export async function tagToLinks(plugin, tagName) {
+    const app = plugin.app, tag = new Tag(tagName), linkProperty = plugin.settings.linkProperty.trim() || "related";
+    let page = plugin.tagPage(tagName);
+
+    const targets = (await findTargets(app, tag, {matches: tag.matchesExact, properties: plugin.tagProperties}))?.filter(t => t.filename !== page?.path);
+    if (!targets) return;
+    if (!targets.length) return new Notice(`No notes use ${tag}`);
+
+    const ok = await new Confirm()
+        .setTitle(`Convert ${tag} to links`)
+        .setContent(
+            `Replace ${tag} in ${targets.length} file(s) with links to ${page ? `"${page.basename}"` : "a new tag page"}?  ` +
+            `Tags in the note body will become links like [[${page?.basename ?? "Tag Page"}|${tag}]], and ` +
+            `front matter tags will be moved to the "${linkProperty}" property as links.`
+        )
+        .confirm();
+    if (!ok) return;
+    page ??= await plugin.createTagPage(tagName, false, false);
+
+    // Remove the tag from front matter tags, but not aliases (so other tag pages stay tag pages)
+    const removal = new Removal(tag), removeTags = {
+        inArray: (tags, skipOdd, isAlias) => isAlias ? tags : removal.inArray(tags, skipOdd, isAlias)
+    };
+    const progress = new Progress(`Converting ${tag} to links`, "Processing files...");
+    const op = plugin.journal.begin(`Convert ${tag} to links to ${page.basename}`, {tag: tag.tag, page: page.path});
+    let changed = 0;
+    await progress.forEach(targets, async (target) => {
+        progress.message = "Processing " + target.basename;
+        const linktext = app.metadataCache.fileToLinktext(page, target.filename, true);
+        const converted = await target.edit(text => {
+            for (const { position: { start, end }, tag: found } of target.tagPositions) {
+                text = text.slice(0, start.offset) + `[[${linktext}|${found}]]` + text.slice(end.offset);
+            }
+            if (target.hasFrontMatter) {
+                const removed = target.replaceInFrontMatter(text, removeTags);
+                if (removed !== text) text = addToFrontMatter(removed, linkProperty, [`[[${linktext}]]`], target.filename);
+            }
+            return text;
+        }, op);
+        if (converted) changed++;
+    });
+    await op.commit();
+    reportFailures(op.title, targets);
+
+    return new Notice(`Operation ${progress.aborted ? "cancelled" : "complete"}: ${changed} file(s) updated`);
+}
+
+/** Replace links to a tag's tag page with the tag */
+export async function linksToTag(plugin, tagName) {
+    const app = plugin.app, tag = new Tag(tagName), page = plugin.tagPage(tagName);
+    if (!page) return new Notice(`${tag} has no tag page`);
+
+    const targets = [], toPage = filename => link =>
+        app.metadataCache.getFirstLinkpathDest(getLinkpath(link.link), filename) === page
+    ;
+    const progress = new Progress(`Searching for links to ${page.basename}`, "Matching files...");
+    await progress.forEach(app.metadataCache.getCachedFiles(), filename => {
+        if (filename === page.path) return;
+        const cache = app.metadataCache.getCache(filename) || {};
+        const fmLinks = frontmatterLinks(cache).filter(toPage(filename));
+        const locate = ({ links }) => (links || [])  // last positions first
+            .filter(toPage(filename)).map(({position, original}) => ({position, tag: original})).reverse();
+        const bodyLinks = locate(cache);
+        if (bodyLinks.length || fmLinks.length) {
+            const target = new File(app, filename, bodyLinks, fmLinks.length, locate);
+            target.frontmatterLinks = fmLinks;
+            targets.push(target);
+        }
+    });
+    if (progress.aborted) return;
+    if (!targets.length) return new Notice(`No notes link to "${page.basename}"`);
+
+    const ok = await new Confirm()
+        .setTitle(`Convert links to ${tag}`)
+        .setContent(
+            `Replace links to "${page.basename}" in ${targets.length} file(s) with ${tag}?  ` +
+            `Links in the note body (including any display text) will be replaced by the tag, and ` +
+            `links in front matter properties will be removed and ${tag} added to the note's tags.`
+        )
+        .confirm();
+    if (!ok) return;
+
+    const progress2 = new Progress(`Converting links to ${tag}`, "Processing files...");
+    const op = plugin.journal.begin(`Convert links to ${page.basename} into ${tag}`, {tag: tag.tag, page: page.path});
+    let changed = 0;
+    await progress2.forEach(targets, async (target) => {
+        progress2.message = "Processing " + target.basename;
+        const converted = await target.edit(text => {
+            for (const { position: { start, end } } of target.tagPositions) {
+                text = text.slice(0, start.offset) + tag.tag + text.slice(end.offset);
+            }
+            if (target.hasFrontMatter) {
+                const before = text;
+                for (const { key, original } of target.frontmatterLinks) {
+                    text = removeFromFrontMatter(text, key.split(".")[0], v => v === original, target.filename);
+                }
+                const key = tagsProperty(app.metadataCache.getCache(target.filename)?.frontmatter);
+                if (text !== before) text = addToFrontMatter(text, key, [tag.name], target.filename);
+            }
+            return text;
+        }, op);
+        if (converted) changed++;
+    });
+    await op.commit();
+    reportFailures(op.title, targets);
+
+    return new Notice(`Operation ${progress2.aborted ? "cancelled" : "complete"}: ${changed} file(s) updated`);
+}
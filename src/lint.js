@@ -0,0 +1,148 @@
+import { debounce, ItemView, Keymap, Notice, parseFrontMatterTags } from "obsidian";
+import { syntaxTree } from "@codemirror/language";
+import { Decoration, ViewPlugin } from "@codemirror/view";
+import { Tag } from "./Tag";
+import { tagPropertyValues } from "./File";
+import { renameTags } from "./renaming";
+
+export const lintViewType = "tag-wrangler:lint";
+
+/**
+ * Check the tags of every note against the vocabulary, returning one issue per problem tag in each file,
+ * as `{path, tag, problem, replace?, replacement?, lines}` (`lines` are 0-based; front matter uses are `-1`)
+ */
+export function lintVault(plugin) {
+    const app = plugin.app, vocabulary = plugin.vocabulary, skip = vocabulary.note?.path, issues = [];
+    for (const path of app.metadataCache.getCachedFiles()) {
+        if (path === skip) continue;
+        const { tags, frontmatter } = app.metadataCache.getCache(path) || {}, found = new Map();
+        const check = (tag, line) => {
+            const key = Tag.canonical(tag);
+            if (!found.has(key)) {
+                const issue = vocabulary.check(tag);
+                found.set(key, issue && {path, tag: Tag.toTag(tag), ...issue, lines: []});
+            }
+            found.get(key)?.lines.push(line);
+        };
+        (tags || []).forEach(t => t.tag && check(t.tag, t.position.start.line));
+        (parseFrontMatterTags(frontmatter) || []).concat(tagPropertyValues(app, plugin.tagProperties, frontmatter)).forEach(t => check(t, -1));
+        issues.push(...Array.from(found.values()).filter(Boolean));
+    }
+    return issues;
+}
+
+/** Replace a deprecated tag in one file, using the API so no dialogs are shown */
+export async function fixTag(plugin, path, tag, replacement) {
+    const {changed, skipped} = await plugin.api.renameTag(tag, replacement, {mode: "exact", scope: [path]});
+    if (skipped.length) return new Notice(`Couldn't replace ${tag} in ${path}: ${skipped[0].reason}`);
+    return new Notice(changed.length ? `Replaced ${tag} with ${replacement} in ${path}` : `${tag} not found in ${path}`);
+}
+
+/** Replace all the deprecated tags found by lintVault() throughout the vault (except the vocabulary note) */
+export function fixAllTags(plugin, issues) {
+    const replacements = new Set(issues.map(i => i.replace).filter(Boolean));
+    if (!replacements.size) return new Notice("No deprecated tags found.");
+    const mappings = Array.from(replacements, r => ({from: r.fromTag.name, to: r.toTag.name}));
+    const exclude = [plugin.vocabulary.note?.path].filter(Boolean);
+    return renameTags(plugin, mappings, `Replacing ${mappings.length} deprecated tag(s)`, {exclude});
+}
+
+/** Editor extension that underlines tags with vocabulary problems, if enabled in the settings */
+export function lintExtension(plugin) {
+    const mark = problem => Decoration.mark({class: "tag-wrangler-lint", attributes: {title: problem}});
+    return ViewPlugin.fromClass(class {
+        constructor(view) {
+            this.version = plugin.vocabulary.version;
+            this.decorations = this.build(view);
+        }
+        update(update) {
+            if (update.docChanged || update.viewportChanged || this.version !== plugin.vocabulary.version) {
+                this.version = plugin.vocabulary.version;
+                this.decorations = this.build(update.view);
+            }
+        }
+        build(view) {
+            if (!plugin.settings.lintEditor) return Decoration.none;
+            const marks = [];
+            let start;
+            // Obsidian parses tags as a `hashtag-begin` token (the `#`) followed by a `hashtag-end` token
+            for (const {from, to} of view.visibleRanges) syntaxTree(view.state).iterate({from, to, enter(node) {
+                if (node.type.name.includes("hashtag-begin")) start = node.from;
+                else if (node.type.name.includes("hashtag-end") && start !== undefined) {
+                    const issue = plugin.vocabulary.check(view.state.doc.sliceString(start, node.to));
+                    if (issue) marks.push(mark(issue.problem).range(start, node.to));
+                    start = undefined;
+                }
+            }});
+            return Decoration.set(marks, true);
+        }
+    }, {decorations: v => v.decorations});
+}
+
+export class TagLintView extends ItemView {
+
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.requestRefresh = debounce(() => this.refresh(), 2000, true);
+    }
+
+    getViewType() { return lintViewType; }
+    getDisplayText() { return "Tag lint"; }
+    getIcon() { return "list-checks"; }
+
+    async onOpen() {
+        this.registerEvent(this.app.metadataCache.on("resolved", this.requestRefresh));
+        this.contentEl.empty();
+        const controls = this.contentEl.createDiv({attr: {style: "display: flex; gap: 1em; align-items: center; margin-bottom: 1em"}});
+        controls.createEl("button", {text: "Refresh"}, b => b.addEventListener("click", () => this.refresh()));
+        controls.createEl("button", {text: "Replace all deprecated tags..."}, b => b.addEventListener(
+            "click", () => this.plugin.run(fixAllTags, this.issues)
+        ));
+        this.summaryEl = controls.createSpan();
+        this.errorsEl = this.contentEl.createDiv({attr: {style: "color: var(--text-error)"}});
+        this.listEl = this.contentEl.createDiv();
+        this.refresh();
+    }
+
+    async refresh() {
+        await this.plugin.vocabulary.load();
+        this.issues = lintVault(this.plugin);
+        this.render();
+    }
+
+    render() {
+        if (!this.listEl) return;
+        const { vocabulary } = this.plugin, byFile = new Map();
+        for (const issue of this.issues) {
+            if (!byFile.has(issue.path)) byFile.set(issue.path, []);
+            byFile.get(issue.path).push(issue);
+        }
+        this.summaryEl.setText(
+            `${this.issues.length} problem(s) in ${byFile.size} file(s)` +
+            (vocabulary.allowed ? `, checked against ${vocabulary.allowed.size} sanctioned tag(s)` : " (no vocabulary is set up)")
+        );
+        this.errorsEl.empty();
+        for (const error of vocabulary.errors) this.errorsEl.createDiv({text: error});
+
+        this.listEl.empty();
+        for (const [path, issues] of Array.from(byFile).sort(([a], [b]) => a.localeCompare(b))) {
+            this.listEl.createDiv({attr: {style: "margin-bottom: 1em"}}, group => {
+                group.createEl("a", {cls: "internal-link", text: path, href: path}, a => a.addEventListener("click", e => {
+                    e.preventDefault();
+                    this.app.workspace.openLinkText(path, "", Keymap.isModEvent(e));
+                }));
+                group.createEl("ul", {attr: {style: "margin: 0"}}, list => {
+                    for (const issue of issues.sort((a, b) => a.tag.localeCompare(b.tag))) list.createEl("li", undefined, li => {
+                        li.createSpan({cls: "tag", text: issue.tag});
+                        const where = issue.lines.map(l => l < 0 ? "front matter" : `line ${l + 1}`);
+                        li.append(` ${issue.problem} (${Array.from(new Set(where)).join(", ")}) `);
+                        if (issue.replacement) li.createEl("button", {text: "Fix"}, b => b.addEventListener(
+                            "click", () => this.plugin.run(fixTag, path, issue.tag, issue.replacement)
+                        ));
+                    });
+                });
+            });
+        }
+    }
+}
@@ -0,0 +1,96 @@
+import { Notice } from "obsidian";
+import { modalSelect } from "@ophidian/core";
+import { parse } from "yaml";
+import { Tag } from "./Tag";
+import { renameTags } from "./renaming";
+import { showReport } from "./report";
+
+const extensions = ["md", "csv", "yaml", "yml"];
+const arrow = /\s*(?:->|=>|→)\s*/;
+
+/**
+ * Parse `old → new` tag pairs from a note, CSV, or YAML file
+ *
+ * Notes can use lines like `#old -> #new` (or `=>`, `→`) or table rows like `| #old | #new |`;
+ * CSV files need two columns (with an optional header row), and YAML files can have either
+ * a mapping of old to new names, or a list of pairs or `{from, to}` objects.
+ */
+export function parseMapping(text, extension) {
+    const mappings = [], errors = [], seen = new Set();
+
+    function add(from, to, where) {
+        from = String(from ?? "").trim(); to = String(to ?? "").trim();
+        for (const name of [from, to]) if (!Tag.isTag(Tag.toTag(name))) {
+            errors.push(`${where}: "${name}" is not a valid tag name`);
+            return;
+        }
+        // Drop exact duplicates, but keep conflicting ones so they show up in the conflict report
+        const key = Tag.canonical(from) + " " + Tag.canonical(to);
+        if (seen.has(key)) return;
+        seen.add(key);
+        mappings.push({from: Tag.toName(from), to: Tag.toName(to)});
+    }
+
+    if (extension === "csv") {
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim()) return;
+            const cells = splitCSV(line);
+            if (i === 0 && /^(old|from|source|tag)\b/i.test(cells[0])) return;  // header
+            if (cells.length < 2) errors.push(`Line ${i+1}: expected two columns`);
+            else add(cells[0], cells[1], `Line ${i+1}`);
+        });
+    } else if (extension === "yaml" || extension === "yml") {
+        let data;
+        try { data = parse(text); } catch (e) { errors.push(`YAML error: ${e.message ?? e}`); }
+        if (Array.isArray(data)) data.forEach((entry, i) => {
+            if (Array.isArray(entry)) add(entry[0], entry[1], `Item ${i+1}`);
+            else if (entry && typeof entry === "object") add(entry.from ?? entry.old, entry.to ?? entry.new, `Item ${i+1}`);
+            else errors.push(`Item ${i+1}: expected a pair or a {from, to} object`);
+        });
+        else if (data && typeof data === "object") for (const [from, to] of Object.entries(data)) add(from, to, from);
+        else if (data !== undefined) errors.push("Expected a YAML mapping or list");
+    } else {
+        text.split(/\r?\n/).forEach((line, i) => {
+            const row = /^\s*\|\s*(#\S+)\s*\|\s*(#\S+)\s*\|/.exec(line);
+            if (row) return add(row[1], row[2], `Line ${i+1}`);
+            const parts = line.trim().replace(/^[-*+]\s+/, "").split(arrow);
+            if (parts.length === 2 && parts[0].startsWith("#") && parts[1].startsWith("#"))
+                add(parts[0], parts[1], `Line ${i+1}`);
+        });
+    }
+    return {mappings, errors};
+}
+
+function splitCSV(line) {
+    const cells = [];
+    let cell = "", quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i+1] === '"') { cell += c; i++; }
+            else if (c === '"') quoted = false;
+            else cell += c;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === "," || c === ";" || c === "\t") {
+            cells.push(cell.trim()); cell = "";
+        } else {
+            cell += c;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+export async function renameFromMapping(plugin) {
+    const files = plugin.app.vault.getFiles().filter(f => extensions.includes(f.extension));
+    const {item: file} = await modalSelect(files, f => f.path, "Choose a note, CSV, or YAML file of tag renames");
+    if (!file) return;
+
+    const {mappings, errors} = parseMapping(await plugin.app.vault.read(file), file.extension);
+    if (errors.length) return showReport(
+        `Renaming tags from ${file.name}`, "The file has problems, so no changes were made:", errors
+    );
+    if (!mappings.length) return new Notice(`No tag renames found in ${file.path}`);
+    return renameTags(plugin, mappings, `Renaming tags from ${file.name}`);
+}
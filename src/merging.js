@@ -0,0 +1,52 @@
+import { Notice } from "obsidian";
+import { Confirm } from "@ophidian/core";
+import { clusterTags } from "./similarity";
+import { renameTags } from "./renaming";
+import { tagUsage } from "./usage";
+
+/**
+ * Find clusters of near-duplicate tags (differing by case, separators, plurals, diacritics, or typos),
+ * and merge the chosen ones into a single tag per cluster
+ */
+export async function findSimilarTags(plugin) {
+    const clusters = clusterTags(Array.from(tagUsage(plugin).values()))
+        .map(cluster => cluster.sort((a, b) => b.uses - a.uses || a.tag.localeCompare(b.tag)))
+        .sort((a, b) => b[0].uses - a[0].uses);
+    if (!clusters.length) return new Notice("No similar tags found.");
+
+    // Each cluster merges into its most-used tag, unless another is chosen (or it's unchecked)
+    const choices = clusters.map(cluster => ({cluster, winner: cluster[0], merge: true}));
+    const ok = await new Confirm()
+        .setTitle("Merge similar tags")
+        .setContent(`${clusters.length} group(s) of similar tags found.  Choose the tag to merge each group into:`)
+        .setContent(createDiv({cls: "tag-wrangler-list"}, list => {
+            choices.forEach((choice, i) => list.createDiv({attr: {style: "margin-bottom: 1em"}}, group => {
+                const radios = [];
+                group.createEl("label", {attr: {style: "font-weight: bold"}}, label => {
+                    const box = label.createEl("input", {type: "checkbox"});
+                    box.checked = true;
+                    box.addEventListener("change", () => radios.forEach(r => r.disabled = !(choice.merge = box.checked)));
+                    label.append(" Merge into:");
+                });
+                for (const u of choice.cluster) group.createEl("label", {attr: {style: "display: block; margin-left: 1.5em"}}, label => {
+                    const radio = label.createEl("input", {type: "radio", attr: {name: `tag-wrangler-cluster-${i}`}});
+                    radio.checked = u === choice.winner;
+                    radio.addEventListener("change", () => { if (radio.checked) choice.winner = u; });
+                    radios.push(radio);
+                    label.append(` ${u.tag} (${u.uses} use${u.uses === 1 ? "" : "s"} in ${u.files.size} file(s))`);
+                });
+            }));
+        }))
+        .setup(c => c.okButton.setText("Merge"))
+        .confirm();
+    if (!ok) return;
+
+    // Sub-tags are listed (and clustered) separately, so only merge the exact tags, or a parent
+    // cluster's renames would overlap with those of a cluster of its sub-tags
+    const mappings = choices.filter(c => c.merge).flatMap(({cluster, winner}) => cluster
+        .filter(u => u !== winner)
+        .map(u => ({from: u.tag, to: winner.tag, mode: "exact"}))
+    );
+    if (!mappings.length) return new Notice("No tags selected for merging.");
+    return renameTags(plugin, mappings, `Merging ${mappings.length} similar tag(s)`);
+}
@@ -0,0 +1,117 @@
+import { Notice } from "obsidian";
+import { Confirm, Prompt } from "@ophidian/core";
+import { Tag } from "./Tag";
+import { renameTags } from "./renaming";
+import { listEl, showReport } from "./report";
+
+/**
+ * Convert a `/regex/flags` string or a tag glob to a RegExp
+ *
+ * In globs, `*` matches within one level of the tag hierarchy, `**` matches across levels,
+ * and `?` matches a single character.  Each wildcard is a capture group, so a glob like
+ * `#project/**` can be rewritten with a template like `archive/$1`.  Globs must match the whole tag name.
+ */
+export function toPattern(text) {
+    text = text.trim();
+    const regex = /^\/(.*)\/([a-z]*)$/s.exec(text);
+    if (regex) return new RegExp(regex[1], regex[2]);
+    const glob = Tag.toName(text).replace(/\*\*|[*?]|[\\^$.+()|{}\[\]]/g, m => {
+        switch (m) {
+            case "**": return "(.*)";
+            case "*":  return "([^/]*)";
+            case "?":  return "([^/])";
+            default:   return "\\" + m;
+        }
+    });
+    return new RegExp(`^${glob}$`, "i");
+}
+
+/**
+ * Expand a replacement template for one match
+ *
+ * Supports `$1`, `$<name>`, `$&` and `$$` as in String.replace(), plus `\U`/`\L` (upper/lowercase
+ * until `\E`) and `\u`/`\l` (upper/lowercase the next character).
+ */
+export function expandTemplate(template, match) {
+    const groups = match.groups || {};
+    let out = "", mode = "", once = "";
+    const emit = s => {
+        for (const c of s) {
+            let ch = mode === "U" ? c.toUpperCase() : mode === "L" ? c.toLowerCase() : c;
+            if (once) { ch = once === "u" ? ch.toUpperCase() : ch.toLowerCase(); once = ""; }
+            out += ch;
+        }
+    };
+    for (const [token] of template.matchAll(/\$\$|\$&|\$<[^>]*>|\$\d{1,2}|\\[ULEul]|[^$\\]+|[$\\]/g)) {
+        if (token === "$$") emit("$");
+        else if (token === "$&") emit(match[0]);
+        else if (token.startsWith("$<")) emit(groups[token.slice(2, -1)] ?? "");
+        else if (/^\$\d/.test(token)) emit(match[+token.slice(1)] ?? "");
+        else if (token === "\\E") mode = "";
+        else if (token === "\\U" || token === "\\L") mode = token[1];
+        else if (token === "\\u" || token === "\\l") once = token[1];
+        else emit(token);
+    }
+    return out;
+}
+
+/** Compute `{from, to}` renames for every existing tag the pattern changes */
+export function rewriteTags(tagNames, pattern, template) {
+    const mappings = [], invalid = [], seen = new Set();
+    for (const tag of tagNames) {
+        const name = Tag.toName(tag);
+        pattern.lastIndex = 0;
+        if (!pattern.test(name)) continue;
+        pattern.lastIndex = 0;
+        const newName = Tag.toName(name.replace(pattern, (...args) => {
+            const hasGroups = typeof args[args.length - 1] === "object";
+            const match = args.slice(0, hasGroups ? -3 : -2);
+            match.groups = hasGroups ? args[args.length - 1] : undefined;
+            return expandTemplate(template, match);
+        }));
+        if (newName === name) continue;
+        // An exact rename covers the tag's case variants too, so only map the first of them
+        if (seen.has(Tag.canonical(name))) continue;
+        seen.add(Tag.canonical(name));
+        if (Tag.isTag("#" + newName)) mappings.push({from: name, to: newName, mode: "exact"});
+        else invalid.push(`#${name} → #${newName}`);
+    }
+    return {mappings, invalid};
+}
+
+export async function rewriteByPattern(plugin) {
+    const source = await new Prompt()
+        .setTitle("Rewrite tags by pattern")
+        .setContent(
+            "Enter a tag glob like #project/*/done (* matches within a level, ** across levels), " +
+            "or a regular expression like /^(\\d{4})\\/(q\\d)\\//i, to match against tag names (without the #):\n"
+        )
+        .setValidator(s => { try { return !!toPattern(s); } catch (e) { return false; } })
+        .onInvalidEntry(t => new Notice(`"${t}" is not a valid pattern`))
+        .prompt();
+    if (!source) return;
+
+    const template = await new Prompt()
+        .setTitle("Rewrite tags by pattern")
+        .setContent(
+            "Enter the new tag name, using $1, $2... or $<name> for captured groups, $& for the whole match, " +
+            "and \\L, \\U, \\l, \\u (and \\E) to change case:\n"
+        )
+        .prompt();
+    if (template === false) return;
+
+    const {mappings, invalid} = rewriteTags(
+        Object.keys(plugin.app.metadataCache.getTags()), toPattern(source), template
+    );
+    if (invalid.length) return showReport(
+        "Rewrite tags by pattern", "These tags would get invalid names, so no changes were made:", invalid
+    );
+    if (!mappings.length) return new Notice("No tags would be changed by that pattern.");
+
+    const proceed = await new Confirm()
+        .setTitle("Rewrite tags by pattern")
+        .setContent(`${mappings.length} tag(s) will be renamed:`)
+        .setContent(listEl(mappings.map(({from, to}) => `#${from} → #${to}`)))
+        .confirm();
+    if (proceed) return renameTags(plugin, mappings, `Rewriting tags matching ${source}`);
+}
@@ -0,0 +1,22 @@
+import { modalSelect } from "@ophidian/core";
+import { Tag } from "./Tag";
+
+/**
+ * Let the user choose a tag (from `tags`, or all the vault's tags), returning undefined if cancelled
+ *
+ * If `allowNew` is true, a valid tag name that's typed in can be chosen even if it isn't used yet.
+ */
+export async function pickTag(app, placeholder = "Choose a tag", tags, allowNew = false) {
+    tags = (tags || Object.keys(app.metadataCache.getTags())).sort((a, b) => a.localeCompare(b));
+    const { item } = await modalSelect(tags, String, placeholder, allowNew ? modal => {
+        const getSuggestions = modal.getSuggestions;
+        modal.getSuggestions = function (query) {
+            const results = getSuggestions.call(this, query), tag = Tag.toTag(query.trim());
+            if (Tag.isTag(tag) && !results.some(r => Tag.canonical(r.item) === Tag.canonical(tag))) {
+                results.push({item: tag, match: {score: 0, matches: []}});  // a new tag, as typed
+            }
+            return results;
+        };
+    } : undefined);
+    return item ?? undefined;
+}
@@ -1,8 +1,29 @@
-import {Component, Keymap, Menu, Notice, parseFrontMatterAliases, Plugin} from "obsidian";
-import {renameTag, findTargets} from "./renaming";
+import {Component, Keymap, Menu, normalizePath, Notice, parseFrontMatterAliases, Plugin, TFolder} from "obsidian";
+import {renameTag, findTargets, allTags} from "./renaming";
 import {Tag} from "./Tag";
 import {around} from "monkey-around";
 import {Confirm} from "@ophidian/core";
+import {HistoryModal, Journal} from "./journal";
+import {renameFromMapping} from "./mapping";
+import {rewriteByPattern} from "./patterns";
+import {deleteTag} from "./deleting";
+import {linksToTag, tagToLinks} from "./links";
+import {normalizeCasing} from "./casing";
+import {DEFAULT_SETTINGS, TagWranglerSettingTab} from "./settings";
+import {checkSynonyms, mergeSynonyms} from "./synonyms";
+import {addToFrontMatter, tagProperties} from "./File";
+import {fillTemplate, findTemplate} from "./templates";
+import {linkHierarchy, updateHierarchy} from "./hierarchy";
+import {TagUsageView, usageViewType} from "./usage";
+import {findSimilarTags} from "./merging";
+import {pickTag} from "./picker";
+import {TagWranglerAPI} from "./api";
+import {fileScope, folderScope, searchScope} from "./scope";
+import {dropTag, markdownFiles, moveTags, selectedFiles, tagFiles} from "./tagging";
+import {showTagSummary, wantsHover} from "./hover";
+import {Vocabulary} from "./vocabulary";
+import {fixTag, lintExtension, lintViewType, TagLintView} from "./lint";
+import "./styles.scss";
 
 const tagHoverMain = "tag-wrangler:tag-pane";
 
@@ -14,6 +35,7 @@ function onElement(el, event, selector, callback, options) {
 export default class TagWrangler extends Plugin {
     pageAliases = new Map();
     tagPages = new Map();
+    synonyms = undefined;  // canonical synonym -> primary tag, built by primaryTag() when needed
 
     tagPage(tag) {
         return Array.from(this.tagPages.get(Tag.canonical(tag)) || "")[0]
@@ -27,35 +49,197 @@ export default class TagWrangler extends Plugin {
         return this.app.workspace.getLeaf(newLeaf).openFile(file, openState);
     }
 
-    async createTagPage(tagName, newLeaf) {
+    async createTagPage(tagName, newLeaf, open=true) {
         const tag = new Tag(tagName);
         const tp_evt = { tag: tag.canonical, file: undefined };
         app.workspace.trigger("tag-page:will-create", tp_evt);
         let file = tp_evt.file && await tp_evt.file;
         if (!file) {
-            const baseName = new Tag(tagName).name.split("/").join(" ");
-            const folder = this.app.fileManager.getNewFileParent(this.app.workspace.getActiveFile()?.path || "");
-            const path = this.app.vault.getAvailablePath(folder.getParentPrefix()+baseName, "md");
-            file = await this.app.vault.create(path, [
-                "---",
-                `Aliases: [ ${JSON.stringify(Tag.toTag(tagName))} ]`,
-                "---",
-                ""
-            ].join("\n"));
+            const vault = this.app.vault, path = this.tagPagePath(tagName);
+            const folder = path.split("/").slice(0, -1).join("/");
+            if (folder && !vault.getAbstractFileByPath(folder)) await vault.createFolder(folder);
+            const available = vault.getAvailablePath(path, "md");
+            file = await vault.create(available, await this.tagPageContent(tagName, available));
         }
         tp_evt.file = file;
-        await this.openTagPage(file, true, newLeaf);
+        if (this.settings.linkNewPages) await updateHierarchy(this, {add: [file], extra: [{tag: tag.tag, file}]});
+        if (open) await this.openTagPage(file, true, newLeaf);
         app.workspace.trigger("tag-page:did-create", tp_evt);
+        return file;
     }
 
-    onload(){
+    /**
+     * Path (without extension) for a tag's page, according to the file name setting
+     *
+     * @param {string} [folder] the folder to use instead of the tag page folder setting
+     */
+    tagPagePath(tagName, folder) {
+        const
+            { tagPageFolder, tagPageFilename } = this.settings,
+            name = new Tag(tagName).name, parts = name.split("/"),
+            vars = {name: parts.join(" "), path: name, leaf: parts[parts.length-1], parent: parts.slice(0, -1).join(" ")},
+            baseName = tagPageFilename.replace(/{{(\w+)}}/g, (m, v) => vars[v] ?? m).trim() || vars.name
+        ;
+        folder ??= tagPageFolder.trim() ||
+            this.app.fileManager.getNewFileParent(this.app.workspace.getActiveFile()?.path || "").path;
+        return normalizePath(`${folder}/${baseName}`);
+    }
+
+    /** Initial text for a new tag page: the filled-in template (if any), with the tag added to its aliases */
+    async tagPageContent(tagName, path) {
+        const { tagPageTemplate, aliasProperty } = this.settings, tag = Tag.toTag(tagName);
+        if (tagPageTemplate.trim()) {
+            const template = findTemplate(this.app, tagPageTemplate.trim());
+            if (template) return addToFrontMatter(
+                await fillTemplate(this, await this.app.vault.read(template), tagName, path), aliasProperty, [tag], template.path
+            );
+            new Notice(`Tag page template "${tagPageTemplate}" not found; creating an empty tag page`);
+        }
+        return ["---", `${aliasProperty}: [ ${JSON.stringify(tag)} ]`, "---", ""].join("\n");
+    }
+
+    async loadSettings() {
+        this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+        this.applySettings();
+    }
+
+    async saveSettings() {
+        await this.saveData(this.settings);
+        this.applySettings();
+    }
+
+    applySettings() {
+        this.tagProperties = tagProperties(this.settings.tagProperties.split(","), this.settings.typedProperties);
+        this.vocabulary?.requestLoad();
+    }
+
+    async onload(){
+        await this.loadSettings();
+        this.addSettingTab(new TagWranglerSettingTab(this));
+        this.api = new TagWranglerAPI(this);
+        this.vocabulary = new Vocabulary(this);
+
+        this.journal = new Journal(this);
+        this.addCommand({
+            id: "undo-rename", name: "Undo last tag rename", callback: () => this.journal.undoLast()
+        });
+        this.addCommand({
+            id: "rename-history", name: "Show tag rename history", callback: () => new HistoryModal(this.journal).open()
+        });
+        this.addCommand({
+            id: "rename-from-mapping", name: "Rename tags from mapping file...", callback: () => renameFromMapping(this)
+        });
+        this.addCommand({
+            id: "rewrite-by-pattern", name: "Rewrite tags by pattern...", callback: () => rewriteByPattern(this)
+        });
+        this.addCommand({
+            id: "normalize-casing", name: "Normalize tag casing...", callback: () => normalizeCasing(this)
+        });
+        this.addCommand({
+            id: "merge-synonyms", name: "Merge synonyms into primary tags...", callback: () => mergeSynonyms(this)
+        });
+        this.registerView(usageViewType, leaf => new TagUsageView(leaf, this));
+        this.addCommand({
+            id: "usage-report", name: "Show tag usage report", callback: () => this.showUsage()
+        });
+        this.addCommand({
+            id: "find-similar", name: "Find similar tags...", callback: () => findSimilarTags(this)
+        });
+        this.addCommand({
+            id: "link-hierarchy", name: "Link tag page hierarchy...", callback: () => linkHierarchy(this)
+        });
+        this.registerView(lintViewType, leaf => new TagLintView(leaf, this));
+        this.addCommand({
+            id: "lint-report", name: "Show tag lint report", callback: () => this.showLint()
+        });
+        this.registerEditorExtension(lintExtension(this));
+        this.addCommand({
+            id: "add-tag-to-selected", name: "Add tag to selected files...",
+            callback: () => this.run(tagFiles, selectedFiles(this.app))
+        });
+        this.addCommand({
+            id: "remove-tag-from-selected", name: "Remove tag from selected files...",
+            callback: () => this.run(tagFiles, selectedFiles(this.app), true)
+        });
+
+        // Moving tags between the note body and front matter, in the current note or all notes
+        for (const [id, toBody, name] of [
+            ["to-front-matter", false, "Move tags to front matter"], ["to-body", true, "Move front matter tags to note body"]
+        ]) {
+            this.addCommand({
+                id: `move-tags-${id}`, name: `${name} in current note`, checkCallback: checking => {
+                    const file = this.app.workspace.getActiveFile();
+                    if (checking || file?.extension !== "md") return file?.extension === "md";
+                    this.run(moveTags, toBody, [file]);
+                }
+            });
+            this.addCommand({
+                id: `move-tags-${id}-all`, name: `${name} in all notes...`, callback: () => this.run(moveTags, toBody)
+            });
+        }
+
         this.registerEvent(
-            app.workspace.on("editor-menu", (menu, editor) => {
-                const token = editor.getClickableTokenAt(editor.getCursor());
-                if (token?.type === "tag") this.setupMenu(menu, token.text);
+            app.workspace.on("file-menu", (menu, file) => {
+                if (!(file instanceof TFolder) || this.settings.hiddenMenuItems.includes("rename")) return;
+                const scope = folderScope(file);  // undefined for the vault root
+                if (scope) menu.addItem(item("action", "tags", "Rename tag in folder...", async () => {
+                    const tag = await pickTag(this.app, `Rename tag ${scope.title}:`, allTags(this.app, scope));
+                    if (tag) this.rename(Tag.toName(tag), undefined, {scope});
+                }));
             })
         )
 
+        this.registerEvent(
+            app.workspace.on("files-menu", (menu, files) => {
+                files = markdownFiles(files);
+                if (!files.length) return;
+                menu.addItem(item("action", "tags", "Add tag...", () => this.run(tagFiles, files)))
+                    .addItem(item("action", "tags", "Remove tag...", () => this.run(tagFiles, files, true)));
+                if (this.settings.hiddenMenuItems.includes("rename")) return;
+                const scope = fileScope(files.map(f => f.path));
+                menu.addItem(item("action", "tags", "Rename tag in selected files...", async () => {
+                    const tag = await pickTag(this.app, `Rename tag ${scope.title}:`, allTags(this.app, scope));
+                    if (tag) this.rename(Tag.toName(tag), undefined, {scope});
+                }));
+            })
+        )
+
+        this.registerEvent(
+            app.workspace.on("editor-menu", (menu, editor, info) => {
+                const tagName = tagAtCursor(editor);
+                if (!tagName) return;
+                const { replacement } = this.vocabulary.check(tagName) || {};
+                if (replacement && info.file) menu.addItem(item("tag-rename", "wand", `Replace deprecated #${tagName} with ${replacement}`,
+                    () => this.run(fixTag, info.file.path, Tag.toTag(tagName), replacement)
+                ));
+                this.setupMenu(menu, tagName);
+            })
+        )
+
+        // Tag actions, for a tag chosen from a list or the tag at the editor's cursor
+        const actions = {
+            rename: ["Rename tag", tagName => this.rename(tagName)],
+            page:   ["Open or create tag page", tagName => this.openOrCreateTagPage(tagName)],
+            delete: ["Delete tag", tagName => this.delete(tagName)],
+            search: ["Search for tag", tagName => this.app.internalPlugins.getPluginById("global-search")
+                ?.instance?.openGlobalSearch("tag:#" + tagName)],
+        };
+        for (const [id, [name, action]] of Object.entries(actions)) {
+            this.addCommand({
+                id: `${id}-tag`, name: name + "...", callback: async () => {
+                    const tag = await pickTag(this.app, name + ":");
+                    if (tag) action(Tag.toName(tag));
+                }
+            });
+            this.addCommand({
+                id: `${id}-tag-at-cursor`, name: name + " at cursor", editorCheckCallback: (checking, editor) => {
+                    const tagName = tagAtCursor(editor);
+                    if (checking || !tagName) return !!tagName;
+                    action(tagName);
+                }
+            });
+        }
+
         this.register(
             onElement(document, "contextmenu", ".tag-pane-tag", this.onMenu.bind(this), {capture: true})
         );
@@ -159,6 +343,30 @@ export default class TagWrangler extends Plugin {
             if (info && !e.defaultPrevented) dropHandler(e, targetEl, info, true);
         }, {capture: true});
 
+        // Dropping a tag on a note or folder in the file explorer adds the tag to it
+        const fileDropHandler = (e, targetEl, info = app.dragManager.draggable, drop) => {
+            if (info?.source !== "tag-wrangler" || e.defaultPrevented) return;
+            const file = this.app.vault.getAbstractFileByPath(targetEl.dataset.path);
+            if (!(file instanceof TFolder) && file?.extension !== "md") return;
+            e.dataTransfer.dropEffect = "copy";
+            e.preventDefault();
+            if (drop) {
+                this.run(dropTag, Tag.toName(info.title), file);
+            } else {
+                app.dragManager.updateHover(targetEl, "is-being-dragged-over");
+                app.dragManager.setAction(`Add #${Tag.toName(info.title)} to ${file instanceof TFolder ? "notes in " : ""}${file.name}`);
+            }
+        }
+        const fileSelector = ".nav-file-title[data-path], .nav-folder-title[data-path]";
+        this.register(onElement(document.body, "dragover", fileSelector, fileDropHandler, {capture: true}));
+        this.register(onElement(document.body, "dragenter", fileSelector, fileDropHandler, {capture: true}));
+        this.registerDomEvent(window, "drop", e => {
+            const targetEl = e.target?.matchParent(fileSelector, e.currentTarget);
+            if (!targetEl) return;
+            const info = app.dragManager.draggable;
+            if (info && !e.defaultPrevented) fileDropHandler(e, targetEl, info, true);
+        }, {capture: true});
+
         // Track Tag Pages
         const metaCache = this.app.metadataCache;
         const plugin = this;
@@ -176,6 +384,10 @@ export default class TagWrangler extends Plugin {
             }
         }));
 
+        // Forget the tag list used by hasSubTags() when notes' tags may have changed
+        this.registerEvent(metaCache.on("changed", () => this.knownTags = undefined));
+        this.registerEvent(this.app.vault.on("delete", () => this.knownTags = undefined));
+
         this.app.workspace.onLayoutReady(() => {
             metaCache.getCachedFiles().forEach(filename => {
                 const fm = metaCache.getCache(filename)?.frontmatter;
@@ -184,6 +396,14 @@ export default class TagWrangler extends Plugin {
                 );
             });
             this.registerEvent(metaCache.on("changed", (file, data, cache) => this.updatePage(file, cache?.frontmatter)));
+            this.registerEvent(metaCache.on("changed", (file, data, cache) => {
+                if (this.settings.warnSynonyms) checkSynonyms(this, file, cache);
+            }));
+            // Tag page changes reload the vocabulary from updatePage()
+            this.registerEvent(metaCache.on("changed", file => {
+                if (file === this.vocabulary.note) this.vocabulary.requestLoad();
+            }));
+            this.vocabulary.load();
             this.registerEvent(this.app.vault.on("delete", file => this.updatePage(file)));
             app.workspace.getLeavesOfType("tag").forEach(leaf => {leaf?.view?.requestUpdateTags?.()});
         });
@@ -191,6 +411,10 @@ export default class TagWrangler extends Plugin {
 
     updatePage(file, frontmatter) {
         const tags = parseFrontMatterAliases(frontmatter)?.filter(Tag.isTag) || [];
+        if (String(this.pageAliases.get(file) || "") !== String(tags)) {
+            this.synonyms = undefined;
+            this.vocabulary?.requestLoad();
+        }
         if (this.pageAliases.has(file)) {
             const oldTags = new Set(tags || []);
             for (const tag of this.pageAliases.get(file)) {
@@ -244,6 +468,12 @@ export default class TagWrangler extends Plugin {
         }
     }
 
+    /** Like hasSubTags(), but reusing the vault's tag list until notes change, as menus ask on every open */
+    hasSubTags(tagName) {
+        this.knownTags ??= allTags(this.app);
+        return this.knownTags.some(new Tag(tagName).matchesChild);
+    }
+
     setupMenu(menu, tagName, isHierarchy=false) {
         tagName = Tag.toTag(tagName).slice(1);
         const
@@ -251,21 +481,45 @@ export default class TagWrangler extends Plugin {
             searchPlugin = this.app.internalPlugins.getPluginById("global-search"),
             search = searchPlugin && searchPlugin.instance,
             query = search && search.getGlobalSearchQuery(),
-            random = this.app.plugins.plugins["smart-random-note"]
+            random = this.app.plugins.plugins["smart-random-note"],
+            show = group => !this.settings.hiddenMenuItems.includes(group)
         ;
-        menu.addItem(item("tag-rename", "pencil", "Rename #"+tagName, () => this.rename(tagName)))
+        if (show("rename")) {
+            menu.addItem(item("tag-rename", "pencil", "Rename #"+tagName, () => this.rename(tagName)))
 
-        if (tagPage) {
-            menu.addItem(
-                item("tag-page", "popup-open", "Open tag page", (e) => this.openTagPage(tagPage, false, Keymap.isModEvent(e)))
-            )
-        } else {
-            menu.addItem(
-                item("tag-page", "create-new", "Create tag page", (e) => this.createTagPage(tagName, Keymap.isModEvent(e)))
-            )
+            if (this.hasSubTags(tagName)) {
+                menu.addItem(item("tag-rename", "pencil", "Rename #"+tagName+" only (not sub-tags)", () => this.rename(tagName, tagName, {mode: "exact"})))
+                    .addItem(item("tag-rename", "pencil", "Rename sub-tags of #"+tagName, () => this.rename(tagName, tagName, {mode: "children"})))
+            }
+            if (query) {
+                menu.addItem(item("tag-rename", "pencil", "Rename #"+tagName+" in search results", () => {
+                    const scope = searchScope(this.app);
+                    if (scope) this.rename(tagName, tagName, {scope}); else new Notice("There are no search results to rename in.");
+                }));
+            }
         }
 
-        if (search) {
+        if (show("delete")) menu.addItem(item("tag-rename", "trash", "Delete #"+tagName, () => this.delete(tagName)))
+
+        if (show("page")) {
+            if (tagPage) {
+                menu.addItem(
+                    item("tag-page", "popup-open", "Open tag page", (e) => this.openTagPage(tagPage, false, Keymap.isModEvent(e)))
+                )
+            } else {
+                menu.addItem(
+                    item("tag-page", "create-new", "Create tag page", (e) => this.createTagPage(tagName, Keymap.isModEvent(e)))
+                )
+            }
+        }
+        if (show("convert")) {
+            menu.addItem(item("tag-page", "link", "Convert #"+tagName+" to links to tag page", () => this.run(tagToLinks, tagName)));
+            if (tagPage) {
+                menu.addItem(item("tag-page", "unlink", "Convert links to tag page into #"+tagName, () => this.run(linksToTag, tagName)));
+            }
+        }
+
+        if (search && show("search")) {
             menu.addItem(
                 item("tag-search", "magnifying-glass", "New search for #"+tagName, () => search.openGlobalSearch("tag:#" + tagName))
             );
@@ -279,10 +533,10 @@ export default class TagWrangler extends Plugin {
             );
         }
 
-        if (random) {
+        if (random && show("random")) {
             menu.addItem(
                 item("tag-random", "dice", "Open random note", async () => {
-                    const targets = await findTargets(this.app, new Tag(tagName));
+                    const targets = await findTargets(this.app, new Tag(tagName), {properties: this.tagProperties});
                     random.openRandomNote(targets.map(f=> this.app.vault.getAbstractFileByPath(f.filename)));
                 })
             );
@@ -291,6 +545,26 @@ export default class TagWrangler extends Plugin {
         this.app.workspace.trigger("tag-wrangler:contextmenu", menu, tagName, {search, query, isHierarchy, tagPage});
     }
 
+    openOrCreateTagPage(tagName, newLeaf=false) {
+        const tagPage = this.tagPage(tagName);
+        return tagPage ? this.openTagPage(tagPage, false, newLeaf) : this.createTagPage(tagName, newLeaf);
+    }
+
+    showUsage() {
+        return this.showView(usageViewType);
+    }
+
+    showLint() {
+        return this.showView(lintViewType);
+    }
+
+    async showView(type) {
+        const workspace = this.app.workspace;
+        const leaf = workspace.getLeavesOfType(type)[0] ?? workspace.getLeaf("tab");
+        await leaf.setViewState({type, active: true});
+        workspace.revealLeaf(leaf);
+    }
+
     leafView(containerEl) {
         let view;
         this.app.workspace.iterateAllLeaves((leaf) => {
@@ -300,13 +574,27 @@ export default class TagWrangler extends Plugin {
     }
 
 
-    async rename(tagName, toName=tagName) {
-        try { await renameTag(this.app, tagName, toName); }
+    async rename(tagName, toName=tagName, opts) {
+        return this.run(renameTag, tagName, toName, opts);
+    }
+
+    async delete(tagName) {
+        return this.run(deleteTag, tagName);
+    }
+
+    async run(action, ...args) {
+        try { return await action(this, ...args); }
         catch (e) { console.error(e); new Notice("error: " + e); }
     }
 
 }
 
+/** Return the name of the tag at the editor's cursor, if any */
+function tagAtCursor(editor) {
+    const token = editor.getClickableTokenAt(editor.getCursor());
+    if (token?.type === "tag") return Tag.toName(token.text);
+}
+
 function item(section, icon, title, click) {
     return i => { i.setIcon(icon).setTitle(title).onClick(click); if (section) i.setSection(section); }
 }
@@ -314,6 +602,7 @@ function item(section, icon, title, click) {
 
 class TagPageUIHandler extends Component {
     // Handle hovering and clicks-to-open for tag pages
+    hoverPopover = null;  // for tag summary popovers (tags without pages)
 
     constructor(plugin, opts) {
         super();
@@ -324,13 +613,16 @@ class TagPageUIHandler extends Component {
     onload() {
         const {selector, container, hoverSource, toTag} = this.opts;
         this.register(
-            // Show tag page on hover
+            // Show tag page on hover, or a summary of the tag if it has no page
             onElement(document, "mouseover", selector, (event, targetEl) => {
                 const tagName = toTag(targetEl), tp = tagName && this.plugin.tagPage(tagName);
                 if (tp) this.plugin.app.workspace.trigger('hover-link', {
                     event, source: hoverSource, targetEl, linktext: tp.path,
                     hoverParent: targetEl.matchParent(container)
                 });
+                else if (tagName && Tag.isTag(Tag.toTag(tagName)) && wantsHover(this.plugin.app, hoverSource, event)) {
+                    showTagSummary(this.plugin, this, targetEl, tagName);
+                }
             }, {capture: false})
         );
 
@@ -367,6 +659,8 @@ class TagPageUIHandler extends Component {
                 const tagName = toTag(targetEl), tp = tagName && this.plugin.tagPage(tagName);
                 if (tp) {
                     this.plugin.openTagPage(tp, false, Keymap.isModEvent(event));
+                } else if (this.plugin.settings.autoCreatePages) {
+                    this.plugin.createTagPage(tagName, Keymap.isModEvent(event));
                 } else {
                     new Confirm()
                         .setTitle("Create Tag Page")
@@ -0,0 +1,69 @@
+import { Confirm } from "@ophidian/core";
+
+export class RenamePreview extends Confirm {
+
+    /**
+     * @param {string} title
+     * @param {{file: import("./File").File, changes: any[]}[]} previews
+     */
+    constructor(title, previews) {
+        super();
+        this.files = new Set(previews.map(p => p.file));
+        const count = previews.reduce((n, p) => n + p.changes.length, 0);
+        this.setTitle(title)
+            .setContent(`${count} change(s) in ${previews.length} file(s).  Uncheck any files or changes to skip:`)
+            .setContent(this.listChanges(previews))
+            .setup(c => c.okButton.setText("Rename"));
+    }
+
+    /** Files that still have at least one change selected */
+    get selected() {
+        return Array.from(this.files).filter(file => this.changes.get(file).some(c => !file.excluded.has(c.id)));
+    }
+
+    listChanges(previews) {
+        this.changes = new Map(previews.map(p => [p.file, p.changes]));
+        return createDiv({cls: "tag-wrangler-list"}, list => {
+            for (const { file, changes } of previews) {
+                const fileEl = list.createDiv();
+                const boxes = [];
+                checkbox(fileEl.createEl("label", {attr: {style: "font-weight: bold"}}), file.filename, true, on => {
+                    if (on) this.files.add(file); else this.files.delete(file);
+                    boxes.forEach(b => b.disabled = !on);
+                });
+                const changeList = fileEl.createEl("ul", {attr: {style: "list-style: none; margin-top: 0"}});
+                for (const change of changes) {
+                    boxes.push(checkbox(changeList.createEl("li").createEl("label"), describe(change), !file.excluded.has(change.id), on => {
+                        if (on) file.excluded.delete(change.id); else file.excluded.add(change.id);
+                    }));
+                }
+            }
+        });
+    }
+}
+
+function checkbox(labelEl, content, checked, onChange) {
+    const box = labelEl.createEl("input", {type: "checkbox"});
+    box.checked = checked;
+    box.addEventListener("change", () => onChange(box.checked));
+    labelEl.append(" ", content);
+    return box;
+}
+
+function describe({ prop, line, col, context, before, after }) {
+    return createSpan(undefined, el => {
+        if (prop) {
+            el.createEl("code", {text: prop + ":"});
+            el.append(" ");
+            el.createEl("del", {text: before});
+            el.append(" → ");
+            el.createEl("ins", {text: after});
+        } else {
+            el.createEl("code", {text: `line ${line + 1}:`});
+            el.append(" " + context.slice(0, col));
+            el.createEl("del", {text: before});
+            el.createEl("ins", {text: after});
+            el.append(context.slice(col + before.length));
+        }
+    });
+}
@@ -1,23 +1,43 @@
 import {Progress} from "./progress";
 import {Prompt, Confirm} from "@ophidian/core";
-import {Notice, parseFrontMatterAliases, parseFrontMatterTags} from "obsidian";
-import {Tag, Replacement} from "./Tag";
-import {File} from "./File";
+import {DropdownComponent, getAllTags, normalizePath, Notice, parseFrontMatterAliases, parseFrontMatterTags} from "obsidian";
+import {Tag, Removal, Replacement, ReplacementSet} from "./Tag";
+import {File, tagPropertyValues} from "./File";
+import {CanvasFile} from "./Canvas";
+import {RenamePreview} from "./preview";
+import {listEl, reportFailures, showReport} from "./report";
+import {pageTags, updateHierarchy} from "./hierarchy";
 
-export async function renameTag(app, tagName, toName=tagName) {
-    const newName = await promptForNewName(tagName, toName);
-    if (newName === false) return;  // aborted
+const modes = {
+    all:      {title: "(and any sub-tags)",     menu: "Rename the tag and its sub-tags"},
+    exact:    {title: "(but not its sub-tags)", menu: "Rename only this tag, not its sub-tags"},
+    children: {title: "(only its sub-tags)",    menu: "Move only the sub-tags to a new parent"},
+};
+
+/**
+ * @param {{mode?: "all"|"exact"|"children", renamePages?: boolean, scope?: import("./scope").Scope}} opts
+ *   `renamePages` renames the tag pages of renamed tags to match (defaulting to the plugin setting), and
+ *   `scope` limits the rename to part of the vault
+ */
+export async function renameTag(plugin, tagName, toName=tagName, {mode="all", renamePages=plugin.settings.renameTagPages, scope}={}) {
+    const app = plugin.app;
+    const hasPages = pageTags(plugin, scope).some(p => new Tag(tagName).matches(p.tag));
+    const prompted = await promptForNewName(tagName, toName, mode, hasPages ? !!renamePages : undefined, scope);
+    if (prompted === false) return;  // aborted
+    const {newName, preview} = prompted;
+    ({mode, renamePages} = prompted);
 
     if (!newName || newName === tagName) {
-        return new Notice("Unchanged or empty tag: No changes made.");
+        new Notice("Unchanged or empty tag: No changes made.");
+        return;
     }
 
     const
         oldTag  = new Tag(tagName),
         newTag  = new Tag(newName),
-        replace = new Replacement(oldTag, newTag),
+        replace = new Replacement(oldTag, newTag, mode),
         clashing = replace.willMergeTags(
-            allTags(app).reverse()   // find longest clash first
+            allTags(app, scope).reverse()   // find longest clash first
         ),
         shouldAbort = clashing &&
             await shouldAbortDueToClash(clashing, oldTag, newTag)
@@ -25,55 +45,262 @@ export async function renameTag(app, tagName, toName=tagName) {
 
     if (shouldAbort) return;
 
-    const targets = await findTargets(app, oldTag);
+    let targets = await findTargets(app, oldTag, {matches: replace.matches, canvas: true, scope, properties: plugin.tagProperties});
     if (!targets) return;
 
-    const progress = new Progress(`Renaming to #${newName}/*`, "Processing files...");
-    let renamed = 0;
-    await progress.forEach(targets, async (target) => {
-        progress.message = "Processing " + target.basename;
-        if (await target.renamed(replace)) renamed++;
+    if (preview) {
+        targets = await previewChanges(targets, replace, `Renaming ${oldTag} to ${newTag}${scope ? " " + scope.title : ""}`);
+        if (!targets) return;
+    }
+
+    const progress = new Progress(`Renaming to #${newName}${mode === "exact" ? "" : "/*"}`, "Processing files...");
+    const op = beginRename(plugin, replace, scope);
+    const result = await applyChanges(plugin, targets, replace, op, {progress, renamePages, scope});
+    reportFailures(op.title, targets);
+
+    new Notice(`Operation ${result.aborted ? "cancelled" : "complete"}: ${result.changed.length} file(s) updated`);
+    return result;
+}
+
+/** Start a journal operation for renaming a tag */
+export function beginRename(plugin, {fromTag, toTag, mode}, scope) {
+    return plugin.journal.begin(
+        `Rename ${fromTag} to ${toTag}${mode === "all" ? "" : " " + modes[mode].title}${scope ? " " + scope.title : ""}`,
+        {from: fromTag.tag, to: toTag.tag, mode, scope: scope?.title}
+    );
+}
+
+/**
+ * Apply a replacement (or removal) to the target files, then update tag pages and commit the journal operation
+ *
+ * For renames, the `tag-wrangler:will-rename` and `tag-wrangler:did-rename` workspace events are
+ * triggered before and after the files are changed.  Only tag pages within the `scope` (if any) are
+ * renamed or treated as having their tags changed.
+ *
+ * @param {{progress?: Progress, renamePages?: boolean, scope?: import("./scope").Scope}} opts
+ *   without a `progress`, no UI is shown
+ * @returns {Promise<{changed: string[], failed: {path: string, reason: string}[], aborted: boolean}>}
+ */
+export async function applyChanges(plugin, targets, replace, op, {progress, renamePages=false, scope}={}) {
+    const
+        workspace = plugin.app.workspace,
+        pages = pageTags(plugin),  // before the metadata cache sees the changes
+        renames = (replace.replacements || [replace]).filter(r => r.fromTag).map(
+            ({fromTag, toTag, mode}) => ({from: fromTag.tag, to: toTag.tag, mode})
+        ),
+        changed = []
+    ;
+    if (renames.length) workspace.trigger("tag-wrangler:will-rename", {
+        renames, files: targets.map(t => t.filename), scope: scope?.title
     });
 
-    return new Notice(`Operation ${progress.aborted ? "cancelled" : "complete"}: ${renamed} file(s) updated`);
+    const process = async target => {
+        if (progress) progress.message = "Processing " + target.basename;
+        if (await target.renamed(replace, op)) changed.push(target.filename);
+    };
+    if (progress) await progress.forEach(targets, process); else for (const target of targets) await process(target);
+
+    const aborted = !!progress?.aborted;
+    if (!aborted) {
+        if (renamePages) await renameTagPages(
+            plugin, pages.filter(p => replace.matches(p.tag) && (!scope || scope.includes(p.file.path))), replace, op
+        );
+        // Removals leave aliases alone, so deleting a tag doesn't change which pages are tag pages
+        if (!(replace instanceof Removal)) await updateHierarchy(plugin, {replace, before: pages, scope, op});
+    }
+    await op.commit();
+
+    const failed = targets.filter(t => t.failure).map(t => ({path: t.filename, reason: t.failure}));
+    if (renames.length) workspace.trigger("tag-wrangler:did-rename", {renames, changed, failed, aborted, scope: scope?.title});
+    return {changed, failed, aborted};
 }
 
-function allTags(app) {
-    return Object.keys(app.metadataCache.getTags());
+/**
+ * Path (without extension) for a renamed tag page that isn't being moved to the tag page folder: the
+ * folder it was named into, minus any sub-folders its name added (e.g. with the `{{path}}` pattern)
+ */
+function pagePathInPlace(plugin, file, tag, newTag) {
+    const folder = file.parent.path, added = plugin.tagPagePath(tag, "").split("/").slice(0, -1).join("/");
+    if (!added) return plugin.tagPagePath(newTag, folder);
+    if (folder.toLowerCase() === added.toLowerCase()) return plugin.tagPagePath(newTag, "");
+    if (folder.toLowerCase().endsWith("/" + added.toLowerCase()))
+        return plugin.tagPagePath(newTag, folder.slice(0, -added.length - 1));
+    // It's not in the folders its name implies, so just rename it where it is
+    return normalizePath(`${folder}/${plugin.tagPagePath(newTag, "").split("/").pop()}`);
 }
 
-export async function findTargets(app, tag) {
-    const targets = [];
-    const progress = new Progress(`Searching for ${tag}/*`, "Matching files...");
-    await progress.forEach(
-        app.metadataCache.getCachedFiles(),
-        filename => {
-            let { frontmatter, tags } = app.metadataCache.getCache(filename) || {};
-            tags = (tags || []).filter(t => t.tag && tag.matches(t.tag)).reverse(); // last positions first
-            const fmtags = (parseFrontMatterTags(frontmatter) || []).filter(tag.matches);
-            const aliasTags = (parseFrontMatterAliases(frontmatter) || []).filter(Tag.isTag).filter(tag.matches);
-            if (tags.length || fmtags.length || aliasTags.length)
-                targets.push(new File(app, filename, tags, fmtags.length + aliasTags.length));
-        }
+/**
+ * Rename (and optionally move) the pages of tags being renamed, to match their new tags
+ *
+ * Pages are named the way new tag pages are, and stay in their current folder unless the
+ * "move renamed tag pages" setting is on.  Links to the pages are updated by Obsidian.
+ */
+async function renameTagPages(plugin, pages, replace, op) {
+    const { app, settings } = plugin, vault = app.vault;
+    for (const {file, tag} of pages) {
+        const
+            newTag = replace.inString(tag),
+            path = settings.moveTagPages ? plugin.tagPagePath(newTag) : pagePathInPlace(plugin, file, tag, newTag),
+            newPath = `${path}.${file.extension}`, oldPath = file.path,
+            folder = path.split("/").slice(0, -1).join("/")
+        ;
+        if (newPath === oldPath) continue;
+        if (folder && !vault.getAbstractFileByPath(folder)) await vault.createFolder(folder);
+        await app.fileManager.renameFile(file,
+            // A change of case only doesn't need a new name, even if the file system is case-insensitive
+            newPath.toLowerCase() === oldPath.toLowerCase() ? newPath : vault.getAvailablePath(path, file.extension)
+        );
+        op.recordRename(oldPath, file.path);
+    }
+}
+
+/**
+ * Rename several tags in a single pass (e.g. from a mapping file)
+ *
+ * Mappings that overlap or chain into each other are reported instead of being applied,
+ * since the result would depend on the order they were applied in.
+ *
+ * @param {{from: string, to: string, mode?: "all"|"exact"|"children"}[]} mappings
+ * @param {string} title
+ * @param {{exclude?: string[]}} opts paths of files to leave unchanged
+ */
+export async function renameTags(plugin, mappings, title="Renaming tags", {exclude=[]}={}) {
+    const app = plugin.app;
+    const replace = new ReplacementSet(
+        mappings.map(({from, to, mode}) => new Replacement(new Tag(from), new Tag(to), mode))
     );
+
+    const problems = replace.conflicts();
+    if (problems.length) return showReport(
+        title, "These renames conflict with each other, so no changes were made:", problems
+    );
+
+    const clashes = replace.willMergeTags(allTags(app).reverse());
+    if (clashes.length && await shouldAbortDueToClashes(clashes)) return;
+
+    let targets = await findTargets(app, undefined, {matches: replace.matches, canvas: true, title, properties: plugin.tagProperties});
+    if (!targets) return;
+    targets = targets.filter(t => !exclude.includes(t.filename));
+
+    const progress = new Progress(title, "Processing files...");
+    const op = plugin.journal.begin(title, {renames: replace.replacements.map(String)});
+    const result = await applyChanges(plugin, targets, replace, op, {progress});
+    reportFailures(op.title, targets);
+
+    new Notice(`Operation ${result.aborted ? "cancelled" : "complete"}: ${result.changed.length} file(s) updated`);
+    return result;
+}
+
+/** Names of the tags used in the vault, or in the files within `scope` */
+export function allTags(app, scope) {
+    if (!scope) return Object.keys(app.metadataCache.getTags());
+    const tags = new Set();
+    for (const filename of app.metadataCache.getCachedFiles().filter(scope.includes)) {
+        for (const tag of getAllTags(app.metadataCache.getCache(filename) || {}) || []) tags.add(tag);
+    }
+    return Array.from(tags);
+}
+
+export function hasSubTags(app, tagName) {
+    return allTags(app).some(new Tag(tagName).matchesChild);
+}
+
+/**
+ * Find the files with tags for which `matches()` is true
+ *
+ * Canvas files aren't in the metadata cache, so they're only searched (by reading them directly) if `canvas`
+ * is true.  Their targets only support preview() and renamed() (no `tagPositions` or edit()), so only renames
+ * and deletes should ask for them.
+ * If a `scope` is given, only files within it are searched.  Tags in front matter `properties` (besides `tags`
+ * and `aliases`) are only found if given, as the plugin's `tagProperties`.
+ */
+export async function findTargets(app, tag, {matches=tag.matches, title=`Searching for ${tag}/*`, canvas=false, quiet=false, scope, properties}={}) {
+    const targets = [];
+    const canvases = canvas ? app.vault.getFiles().filter(f => f.extension === "canvas").map(f => f.path) : [];
+    const filenames = app.metadataCache.getCachedFiles().filter(f => !f.endsWith(".canvas")).concat(canvases)
+        .filter(f => !scope || scope.includes(f));
+    const match = async filename => {
+        const target = filename.endsWith(".canvas") ?
+            await canvasFile(app, filename, matches) : targetFile(app, filename, matches, properties);
+        if (target) targets.push(target);
+    };
+    if (quiet) {
+        for (const filename of filenames) await match(filename);
+        return targets;
+    }
+    const progress = new Progress(title, "Matching files...");
+    await progress.forEach(filenames, match);
     if (!progress.aborted)
         return targets;
 }
 
-async function promptForNewName(tagName, newName=tagName) {
-    return await new Prompt()
-        .setTitle(`Renaming #${tagName} (and any sub-tags)`)
+/** Return a CanvasFile for `filename` if its text cards have any tags for which `matches()` is true */
+export async function canvasFile(app, filename, matches) {
+    const target = new CanvasFile(app, filename, matches);
+    if (await target.hasTags()) return target;
+}
+
+/** Return a File for `filename` if it has any tags for which `matches()` is true */
+export function targetFile(app, filename, matches, properties) {
+    let { frontmatter, tags } = app.metadataCache.getCache(filename) || {};
+    const locate = cache => (cache.tags || []).filter(t => t.tag && matches(t.tag)).reverse(); // last positions first
+    tags = locate({tags});
+    const fmtags = (parseFrontMatterTags(frontmatter) || []).filter(matches);
+    const aliasTags = (parseFrontMatterAliases(frontmatter) || []).filter(Tag.isTag).filter(matches);
+    const propTags = tagPropertyValues(app, properties, frontmatter).map(Tag.toTag).filter(Tag.isTag).filter(matches);
+    if (tags.length || fmtags.length || aliasTags.length || propTags.length)
+        return new File(app, filename, tags, fmtags.length + aliasTags.length + propTags.length, locate, properties);
+}
+
+async function previewChanges(targets, replace, title) {
+    const previews = [];
+    const progress = new Progress(title, "Computing changes...");
+    await progress.forEach(targets, async target => {
+        progress.message = "Reading " + target.basename;
+        const changes = await target.preview(replace);
+        if (changes.length) previews.push({file: target, changes});
+    });
+    if (progress.aborted) return;
+    const dialog = new RenamePreview(title, previews);
+    if (await dialog.confirm()) return dialog.selected;
+}
+
+async function promptForNewName(tagName, newName=tagName, mode="all", renamePages, scope) {
+    let preview = false;
+    const title = () => `Renaming #${tagName} ${modes[mode].title}${scope ? " " + scope.title : ""}`;
+    newName = await new Prompt()
+        .setTitle(title())
         .setContent("Enter new name (must be a valid Obsidian tag name):\n")
+        .setup(p => {
+            if (!hasSubTags(p.app, tagName)) return;
+            new DropdownComponent(p.contentEl)
+                .addOptions(Object.fromEntries(Object.entries(modes).map(([k, v]) => [k, v.menu])))
+                .setValue(mode)
+                .onChange(v => { mode = v; p.setTitle(title()); });
+        })
+        .setup(p => {
+            if (renamePages === undefined) return;  // no tag pages to rename
+            const label = p.contentEl.createEl("label", {attr: {style: "display: block; margin-top: 0.5em"}});
+            const box = label.createEl("input", {type: "checkbox"});
+            box.checked = renamePages;
+            box.addEventListener("change", () => renamePages = box.checked);
+            label.append(" Rename the tag page file to match");
+        })
         .setPattern("[^\u2000-\u206F\u2E00-\u2E7F'!\"#$%&\\(\\)*+,.:;<=>?@^`\\{\\|\\}~\\[\\]\\\\\\s]+")
         .onInvalidEntry(t => new Notice(`"${t}" is not a valid Obsidian tag name`))
         .setValue(newName)
+        .setup(p => p.addButton("", "Preview changes...", e => {
+            preview = !p.onOK(e);  // onOK() returns true if the entry is invalid
+            return !preview;
+        }))
         .prompt()
     ;
+    return newName !== false && {newName, preview, mode, renamePages};
 }
 
 async function shouldAbortDueToClash([origin, clash], oldTag, newTag) {
     return !await new Confirm()
-        .setTitle("WARNING: No Undo!")
+        .setTitle("WARNING: Merging Tags")
         .setContent(
             activeWindow.createEl("p", undefined, el => { el.innerHTML =
                 `Renaming <code>${oldTag}</code> to <code>${newTag}</code> will merge ${
@@ -82,7 +309,30 @@ async function shouldAbortDueToClash([origin, clash], oldTag, newTag) {
                         into existing tags (such as <code>${origin}</code>
                         merging with <code>${clash}</code>)`
                 }.<br><br>
-                This <b>cannot</b> be undone.  Do you wish to proceed?`;
+                This can only be undone with the "Undo last tag rename" command, and only for
+                files that have not been changed since.  Do you wish to proceed?`;
+            })
+        )
+        .setup(c => c.okButton.addClass("mod-warning"))
+        .confirm()
+    ;
+}
+
+async function shouldAbortDueToClashes(clashes) {
+    return !await new Confirm()
+        .setTitle("WARNING: Merging Tags")
+        .setContent(
+            activeWindow.createEl("div", undefined, el => {
+                el.createEl("p", {text: "These renames will merge tags into existing or other renamed tags:"});
+                el.append(listEl(clashes, ([origin, clash], li) => {
+                    li.createEl("code", {text: origin.tag});
+                    li.append(" merging with ");
+                    li.createEl("code", {text: clash.tag});
+                }));
+                el.createEl("p", {text:
+                    `This can only be undone with the "Undo last tag rename" command, and only for
+                    files that have not been changed since.  Do you wish to proceed?`
+                });
             })
         )
         .setup(c => c.okButton.addClass("mod-warning"))
@@ -0,0 +1,30 @@
+import { Dialog } from "@ophidian/core";
+
+/**
+ * A scrollable list for a dialog, with an item for each of `items`: `render(item, li)` fills in the list
+ * item, which otherwise just gets the item's text
+ */
+export function listEl(items, render = (item, li) => li.setText(String(item))) {
+    return createEl("ul", {cls: "tag-wrangler-list"}, list => {
+        for (const item of items) render(item, list.createEl("li"));
+    });
+}
+
+/** Show a message followed by a (scrollable) list of items, e.g. problems or skipped files */
+export function showReport(title, message, items) {
+    new Dialog()
+        .setTitle(title)
+        .setContent(message)
+        .setContent(listEl(items))
+        .setup(d => d.okButton.setText("OK"))
+        .open();
+}
+
+/** Report any files that couldn't be updated by File.edit() */
+export function reportFailures(title, targets) {
+    const failed = targets.filter(t => t.failure);
+    if (failed.length) showReport(
+        title, `${failed.length} file(s) could not be updated, and may need to be changed by hand:`,
+        failed.map(t => `${t.filename}: ${t.failure}`)
+    );
+}
@@ -0,0 +1,45 @@
+import { normalizePath, TFolder } from "obsidian";
+
+/**
+ * A scope limits an operation to part of the vault.  Its `title` describes it for dialogs and the
+ * rename history (e.g. "in Projects/").  Operations with an optional scope apply to the whole vault
+ * when it's undefined.
+ *
+ * @typedef {{title: string, includes: (path: string) => boolean}} Scope
+ */
+
+/** Scope for the files in a folder (and its sub-folders) */
+export function folderScope(folder) {
+    const path = normalizePath(typeof folder === "string" ? folder : folder.path);
+    if (path === "/" || path === "") return;  // vault root: no limit
+    const prefix = path + "/";
+    return {title: `in ${prefix}`, includes: p => p.startsWith(prefix)};
+}
+
+/** Scope for a specific list of file paths */
+export function fileScope(paths, title = `in ${paths.length} file(s)`) {
+    const files = new Set(paths);
+    return {title, includes: p => files.has(p)};
+}
+
+/** The files in the global search view's current results */
+export function searchResults(app) {
+    const view = app.workspace.getLeavesOfType("search")[0]?.view;
+    return Array.from(view?.dom?.resultDomLookup?.keys() || []);
+}
+
+/** Scope for the files in the global search view's current results, or undefined if there aren't any */
+export function searchScope(app) {
+    const files = searchResults(app).map(f => f.path);
+    if (files.length) return fileScope(files, "in search results");
+}
+
+/**
+ * Make a scope from a folder (or folder path), a list of file paths, or an existing scope, for API callers
+ */
+export function toScope(scope) {
+    if (!scope || typeof scope.includes === "function" && scope.title) return scope;
+    if (typeof scope === "string" || scope instanceof TFolder) return folderScope(scope);
+    if (Array.isArray(scope)) return fileScope(scope.map(p => typeof p === "string" ? p : p.path));
+    throw new TypeError("scope must be a folder, a folder path, or a list of file paths");
+}
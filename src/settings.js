@@ -0,0 +1,138 @@
+import {PluginSettingTab, Setting} from "obsidian";
+
+export const DEFAULT_SETTINGS = {
+    tagPageFolder: "",      // folder for new tag pages; empty means Obsidian's location for new notes
+    tagPageFilename: "{{name}}",
+    tagPageTemplate: "",    // path of a note to use as the initial content of new tag pages
+    aliasProperty: "Aliases",
+    autoCreatePages: false, // alt/ctrl-click on a tag without a page creates one without asking
+    linkNewPages: false,    // add parent/child links to new tag pages (and update their relatives)
+    linkProperty: "related", // front matter property that tags converted to links are moved to
+    renameTagPages: false,  // rename tag page files along with their tags, by default
+    moveTagPages: false,    // ...and move them to the tag page folder
+    hiddenMenuItems: [],    // groups of context menu items (see menuGroups) not to show
+    warnSynonyms: false,    // warn when a note uses a non-primary synonym of a tag
+    tagProperties: "",      // comma-separated front matter properties (or dotted paths) that hold tags
+    typedProperties: false, // also treat properties with the "Tags" type as holding tags
+    vocabularySource: "off", // "off", "pages" (tags with tag pages), or "note" (the tags in vocabularyNote)
+    vocabularyNote: "",
+    lintEditor: false,      // underline tags with vocabulary problems in the editor
+};
+
+/** Groups of tag context menu items that can be hidden */
+export const menuGroups = {
+    rename:  "Rename (including sub-tag options)",
+    delete:  "Delete",
+    page:    "Open or create tag page",
+    convert: "Convert between tags and links",
+    search:  "Search options",
+    random:  "Open random note (with Smart Random Note)",
+};
+
+export class TagWranglerSettingTab extends PluginSettingTab {
+
+    constructor(plugin) {
+        super(plugin.app, plugin);
+        this.plugin = plugin;
+    }
+
+    display() {
+        const { containerEl, plugin } = this, { settings } = plugin;
+        containerEl.empty();
+
+        const save = (key, value) => { settings[key] = value; return plugin.saveSettings(); };
+        const toggle = (key, name, desc) => new Setting(containerEl).setName(name).setDesc(desc)
+            .addToggle(t => t.setValue(settings[key]).onChange(v => save(key, v)));
+        const text = (key, name, desc, placeholder="") => new Setting(containerEl).setName(name).setDesc(desc)
+            .addText(t => t.setPlaceholder(placeholder).setValue(settings[key]).onChange(v => save(key, v)));
+
+        new Setting(containerEl).setName("Tag pages").setHeading();
+
+        text("tagPageFolder", "Tag page folder",
+            "Folder to create new tag pages in.  Leave blank to use Obsidian's default location for new notes.",
+            "(default location)"
+        );
+        text("tagPageFilename", "Tag page file name",
+            "Name for new tag pages, where {{name}} is the tag name with / changed to spaces, {{path}} is the " +
+            "tag name with / creating sub-folders, {{leaf}} is the last part of the tag name, and {{parent}} " +
+            "is the rest (with / changed to spaces).",
+            "{{name}}"
+        );
+        text("tagPageTemplate", "Tag page template",
+            "Path of a note whose contents are copied into new tag pages (the tag alias is added to its front matter).  " +
+            "If the core Templates plugin is enabled, this can also be relative to its template folder.  " +
+            "See the documentation for the {{variables}} you can use.",
+            "Templates/Tag page.md"
+        );
+        new Setting(containerEl)
+            .setName("Alias property")
+            .setDesc("Front matter property to add the tag alias to in new tag pages.")
+            .addDropdown(d => d
+                .addOptions({Aliases: "Aliases", aliases: "aliases", Alias: "Alias", alias: "alias"})
+                .setValue(settings.aliasProperty)
+                .onChange(v => save("aliasProperty", v))
+            );
+        toggle("autoCreatePages", "Create tag pages without asking",
+            "When you Alt-click or Ctrl/Cmd-click a tag that has no tag page, create one without asking first."
+        );
+        toggle("renameTagPages", "Rename tag pages with their tags",
+            "When renaming a tag that has a tag page, rename the page's file to match the new tag (using the file " +
+            "name setting above) by default.  You can also turn this on or off for each rename."
+        );
+        toggle("moveTagPages", "Move renamed tag pages to the tag page folder",
+            "When a tag page is renamed, also move it to the tag page folder, instead of leaving it where it is."
+        );
+        toggle("linkNewPages", "Link new tag pages into the hierarchy",
+            "Add links to the parent and child tag pages of each new tag page, and update its relatives' links to include it."
+        );
+
+        text("linkProperty", "Link property",
+            "Front matter property that front matter tags are moved to (as links to the tag page) when a tag is " +
+            "converted to links.",
+            "related"
+        );
+
+        new Setting(containerEl).setName("Context menu").setHeading();
+        for (const [group, name] of Object.entries(menuGroups)) new Setting(containerEl)
+            .setName(name)
+            .addToggle(t => t.setValue(!settings.hiddenMenuItems.includes(group)).onChange(v => save(
+                "hiddenMenuItems", settings.hiddenMenuItems.filter(g => g !== group).concat(v ? [] : [group])
+            )));
+
+        new Setting(containerEl).setName("Renaming").setHeading();
+
+        toggle("warnSynonyms", "Warn about tag synonyms",
+            "When a note is saved, warn if it uses a tag that's a synonym (i.e. a second or later tag alias) " +
+            "on a tag page, instead of that page's primary (first) tag alias."
+        );
+        text("tagProperties", "Additional tag properties",
+            "Comma-separated names of front matter properties, besides tags and aliases, whose values are " +
+            "tags to be renamed and deleted, e.g. \"topics, related\".  Use dotted names like " +
+            "\"project.topics\" for properties of nested objects.",
+            "topics, status"
+        );
+        toggle("typedProperties", "Include properties of type Tags",
+            "Also rename and delete tags in any property that has the \"Tags\" property type."
+        );
+
+        new Setting(containerEl).setName("Vocabulary").setHeading();
+
+        new Setting(containerEl)
+            .setName("Tag vocabulary")
+            .setDesc(
+                "Where to find the sanctioned tags for the tag lint report and editor highlighting.  With tag pages, " +
+                "tags without a page are unknown, and synonyms are deprecated.  A vocabulary note lists the sanctioned " +
+                "tags, and deprecates old tags with lines like \"#old -> #new\"."
+            )
+            .addDropdown(d => d
+                .addOptions({off: "None (only check for invalid tags)", pages: "Tags with tag pages", note: "Vocabulary note"})
+                .setValue(settings.vocabularySource)
+                .onChange(v => save("vocabularySource", v))
+            );
+        text("vocabularyNote", "Vocabulary note", "Path of the vocabulary note, if that's the tag vocabulary.", "Tags.md");
+        toggle("lintEditor", "Highlight tag problems in the editor",
+            "Underline tags that are invalid, deprecated, or not in the vocabulary while editing.  Hover a " +
+            "highlighted tag to see the problem, and right-click a deprecated tag to replace it."
+        );
+    }
+}
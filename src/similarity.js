@@ -0,0 +1,86 @@
+/** Levenshtein distance between two strings, giving up (returning `max + 1`) once it exceeds `max` */
+export function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({length: b.length + 1}, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            best = Math.min(best, row[j]);
+        }
+        if (best > max) return max + 1;
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+/** The largest edit distance at which two names count as likely typos of each other */
+export function typoDistance(name) {
+    return name.length < 5 ? 0 : name.length < 10 ? 1 : 2;
+}
+
+/** Naive English singular of a word (e.g. `meetings` => `meeting`, `categories` => `category`) */
+export function singular(word) {
+    if (/[^aeiou]ies$/i.test(word)) return word.slice(0, -3) + "y";
+    if (/(ss|x|z|ch|sh)es$/i.test(word)) return word.slice(0, -2);
+    if (/[^su]s$/i.test(word) && word.length > 3) return word.slice(0, -1);
+    return word;
+}
+
+/** Singular form of each part of a tag name */
+export function singularName(name) {
+    return name.split("/").map(singular).join("/");
+}
+
+
+/**
+ * Normalize a tag name for finding near-duplicates: lowercase, without diacritics, with camelCase,
+ * hyphens, and underscores all turned into the same word separator, and singular words
+ */
+export function normalizeName(name) {
+    return name.split("/").map(part => part
+        .replace(/(\p{Ll}|\d)(\p{Lu})/gu, "$1 $2")
+        .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .split(/[-_\s]+/).filter(Boolean).map(singular).join("-")
+    ).join("/");
+}
+
+/**
+ * Group tags whose names normalize to the same form, or to forms within typo distance of each other
+ *
+ * @template {{tag: string}} T
+ * @param {T[]} entries
+ * @returns {T[][]} groups of two or more entries
+ */
+export function clusterTags(entries) {
+    const parent = new Map(entries.map(e => [e, e]));
+    const find = e => {
+        while (parent.get(e) !== e) e = parent.get(e);
+        return e;
+    };
+    const union = (a, b) => parent.set(find(a), find(b));
+
+    const byForm = new Map();
+    for (const e of entries) {
+        const form = normalizeName(e.tag.replace(/^#/, ""));
+        if (byForm.has(form)) union(e, byForm.get(form)); else byForm.set(form, e);
+    }
+    const forms = Array.from(byForm.keys()).sort((a, b) => a.length - b.length);
+    forms.forEach((a, i) => {
+        const max = typoDistance(a);
+        if (max) for (const b of forms.slice(i + 1)) {
+            if (b.length - a.length > max) break;
+            if (editDistance(a, b, max) <= max) union(byForm.get(a), byForm.get(b));
+        }
+    });
+
+    const groups = new Map();
+    for (const e of entries) {
+        const root = find(e);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(e);
+    }
+    return Array.from(groups.values()).filter(g => g.length > 1);
+}
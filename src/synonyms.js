@@ -0,0 +1,68 @@
+import {Notice, parseFrontMatterTags} from "obsidian";
+import {Confirm} from "@ophidian/core";
+import {Tag} from "./Tag";
+import {renameTags} from "./renaming";
+import {listEl} from "./report";
+
+/**
+ * Find tag pages that declare synonyms, i.e. more than one tag alias
+ *
+ * The first tag alias on the page is its primary tag, and the others are its synonyms.
+ *
+ * @returns {{page: import("obsidian").TFile, primary: string, synonyms: string[]}[]}
+ */
+export function synonymGroups(plugin) {
+    const groups = [];
+    for (const [page, aliases] of plugin.pageAliases) {
+        const [primary, ...synonyms] = aliases.map(Tag.toTag);
+        const others = synonyms.filter(s => Tag.canonical(s) !== Tag.canonical(primary));
+        if (others.length) groups.push({page, primary, synonyms: others});
+    }
+    return groups;
+}
+
+/** Return the primary tag for a tag, if it's a synonym on some tag page */
+export function primaryTag(plugin, tagName) {
+    if (!plugin.synonyms) {
+        // Cached until a tag page's aliases change (see plugin.updatePage())
+        plugin.synonyms = new Map();
+        for (const {primary, synonyms} of synonymGroups(plugin)) for (const s of synonyms) {
+            if (!plugin.synonyms.has(Tag.canonical(s))) plugin.synonyms.set(Tag.canonical(s), primary);
+        }
+    }
+    return plugin.synonyms.get(Tag.canonical(tagName));
+}
+
+export async function mergeSynonyms(plugin) {
+    const groups = synonymGroups(plugin);
+    if (!groups.length) return new Notice("No tag pages have more than one tag alias, so there are no synonyms to merge.");
+
+    const mappings = groups.flatMap(({primary, synonyms}) => synonyms.map(s => ({from: s, to: primary})));
+    const ok = await new Confirm()
+        .setTitle("Merge synonyms into primary tags")
+        .setContent(`${mappings.length} synonym(s) will be renamed to their tag page's primary tag:`)
+        .setContent(listEl(groups, ({page, primary, synonyms}, li) => li.setText(
+            `${synonyms.join(", ")} → ${primary} (${page.basename})`
+        )))
+        .confirm();
+    if (!ok) return;
+
+    // Leave the tag pages themselves alone, so they keep declaring their synonyms
+    return renameTags(plugin, mappings, "Merging tag synonyms", {exclude: groups.map(g => g.page.path)});
+}
+
+const warned = new WeakMap();
+
+/** Warn if a just-changed note uses non-primary synonyms (once per change in the synonyms used) */
+export function checkSynonyms(plugin, file, cache) {
+    if (!cache || plugin.pageAliases.has(file)) return;
+    const used = new Set();
+    for (const tag of [...(cache.tags || []).map(t => t.tag), ...(parseFrontMatterTags(cache.frontmatter) || [])]) {
+        const primary = tag && primaryTag(plugin, tag);
+        if (primary) used.add(`${Tag.toTag(tag)} (use ${primary} instead)`);
+    }
+    const key = Array.from(used).sort().join(", ");
+    if (key === (warned.get(file) ?? "")) return;
+    warned.set(file, key);
+    if (key) new Notice(`"${file.basename}" uses tag synonyms: ${key}`);
+}
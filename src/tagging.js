@@ -0,0 +1,155 @@
+import { getAllTags, Notice, parseFrontMatterTags, TFolder } from "obsidian";
+import { Confirm } from "@ophidian/core";
+import { Progress } from "./progress";
+import { Removal, Tag } from "./Tag";
+import { addToFrontMatter, File, tagsProperty } from "./File";
+import { allTags, applyChanges, findTargets } from "./renaming";
+import { reportFailures } from "./report";
+import { fileScope, searchResults } from "./scope";
+import { pickTag } from "./picker";
+
+/** The markdown files in a list of files and folders (including their sub-folders) */
+export function markdownFiles(items) {
+    const files = new Set();
+    const add = item => item instanceof TFolder ? item.children.forEach(add) : item.extension === "md" && files.add(item);
+    items.forEach(add);
+    return Array.from(files);
+}
+
+/** The notes selected in the file explorer or, if there aren't any, the current search results */
+export function selectedFiles(app) {
+    const explorer = app.workspace.getLeavesOfType("file-explorer")[0]?.view;
+    const selected = Array.from(explorer?.tree?.selectedDoms || [], dom => dom.file).filter(Boolean);
+    return markdownFiles(selected.length ? selected : searchResults(app));
+}
+
+/** Add a tag to the front matter `tags` of the notes that don't already have it */
+export async function addTagToFiles(plugin, tagName, files) {
+    const app = plugin.app, tag = new Tag(tagName);
+    const targets = files.filter(f => !(getAllTags(app.metadataCache.getFileCache(f) || {}) || []).some(tag.matchesExact));
+    if (!targets.length) return new Notice(`${files.length > 1 ? "All the notes already have" : "The note already has"} ${tag}`);
+
+    const progress = new Progress(`Adding ${tag}`, "Processing files...");
+    const op = plugin.journal.begin(`Add ${tag} to ${targets.length} file(s)`, {tag: tag.tag, files: targets.map(f => f.path)});
+    let changed = 0;
+    await progress.forEach(targets, async file => {
+        progress.message = "Processing " + file.basename;
+        const key = tagsProperty(app.metadataCache.getFileCache(file)?.frontmatter);
+        let original;
+        const after = await app.vault.process(file, text => addToFrontMatter(original = text, key, [tag.name], file.path));
+        if (after !== original) {
+            await op.record(file.path, original, after);
+            changed++;
+        }
+    });
+    await op.commit();
+    return new Notice(`Operation ${progress.aborted ? "cancelled" : "complete"}: ${changed} file(s) updated`);
+}
+
+/** Remove a tag (but not its sub-tags) from the notes, in their bodies and front matter */
+export async function removeTagFromFiles(plugin, tagName, files) {
+    const tag = new Tag(tagName), removal = new Removal(tag), scope = fileScope(files.map(f => f.path));
+    const targets = await findTargets(plugin.app, tag, {matches: removal.matches, scope, properties: plugin.tagProperties});
+    if (!targets) return;
+    if (!targets.length) return new Notice(`${files.length > 1 ? "None of the notes have" : "The note doesn't have"} ${tag}`);
+
+    const progress = new Progress(`Removing ${tag}`, "Processing files...");
+    const op = plugin.journal.begin(`Remove ${tag} from ${targets.length} file(s)`, {tag: tag.tag, files: targets.map(t => t.filename)});
+    const result = await applyChanges(plugin, targets, removal, op, {progress, scope});
+    reportFailures(op.title, targets);
+    return new Notice(`Operation ${result.aborted ? "cancelled" : "complete"}: ${result.changed.length} file(s) updated`);
+}
+
+/** Choose a tag to add to (or remove from) some notes, e.g. the selected ones */
+export async function tagFiles(plugin, files, remove = false) {
+    const app = plugin.app;
+    if (!files.length) return new Notice("Select some notes in the file explorer (or search for them) first.");
+    const tag = remove ?
+        await pickTag(app, `Remove tag from ${files.length} note(s):`, allTags(app, fileScope(files.map(f => f.path)))) :
+        await pickTag(app, `Add tag to ${files.length} note(s):`, undefined, true);
+    if (!tag) return;
+    return remove ? removeTagFromFiles(plugin, Tag.toName(tag), files) : addTagToFiles(plugin, Tag.toName(tag), files);
+}
+
+/** Add a tag dropped on a note, or (after confirming) on the notes in a folder */
+export async function dropTag(plugin, tagName, target) {
+    const files = markdownFiles([target]), tag = new Tag(tagName);
+    if (target instanceof TFolder) {
+        if (!files.length) return new Notice(`There are no notes in ${target.path}`);
+        const ok = await new Confirm()
+            .setTitle(`Add ${tag}`)
+            .setContent(`Add ${tag} to the ${files.length} note(s) in ${target.path} and its sub-folders?`)
+            .confirm();
+        if (!ok) return;
+    }
+    return addTagToFiles(plugin, tagName, files);
+}
+
+/**
+ * Move the tags in notes' bodies into their front matter `tags` property, creating the front matter
+ * if needed, or (if `toBody` is true) move the front matter tags to a line at the top of the body
+ *
+ * @param {import("obsidian").TFile[]} [files] the notes to change (all notes if not given, after confirming)
+ */
+export async function moveTags(plugin, toBody = false, files) {
+    const app = plugin.app, scope = files && fileScope(files.map(f => f.path));
+    const where = !files ? "all notes" : files.length === 1 ? files[0].basename : `${files.length} notes`;
+    const title = toBody ? `Move front matter tags to the body in ${where}` : `Move tags to front matter in ${where}`;
+    const frontMatterTags = target => (parseFrontMatterTags(app.metadataCache.getCache(target.filename)?.frontmatter) || [])
+        .filter(t => Tag.isTag(t) && !/^#\d+$/.test(t));  // all-numeric tags aren't tags in the body
+
+    let targets = await findTargets(app, undefined, {matches: () => true, scope, title, quiet: files?.length === 1, properties: plugin.tagProperties});
+    if (!targets) return;
+    targets = targets.filter(t => toBody ? frontMatterTags(t).length : t.tagPositions.length);
+    if (!targets.length) return new Notice(toBody ? "No front matter tags to move." : "No tags in the note body to move.");
+    if (!files && !await new Confirm()
+        .setTitle(title)
+        .setContent(
+            `${targets.length} note(s) will be changed.  ` + (toBody ?
+                "Their front matter tags will be removed and added on a line at the top of the note body." :
+                "Tags in their note bodies will be removed and added to their front matter tags property."
+            )
+        )
+        .confirm()
+    ) return;
+
+    const progress = new Progress(title, "Processing files...");
+    const op = plugin.journal.begin(title, {toBody});
+    let changed = 0;
+    await progress.forEach(targets, async target => {
+        progress.message = "Processing " + target.basename;
+        const fm = app.metadataCache.getCache(target.filename)?.frontmatter, key = tagsProperty(fm);
+        if (await target.edit(toBody ?
+            text => tagsToBody(text, target, frontMatterTags(target)) :
+            text => tagsToFrontMatter(text, target, key), op
+        )) changed++;
+    });
+    await op.commit();
+    reportFailures(op.title, targets);
+    return new Notice(`Operation ${progress.aborted ? "cancelled" : "complete"}: ${changed} file(s) updated`);
+}
+
+/** Remove a note's body tags (at the target's positions, last first) and add them to its front matter */
+function tagsToFrontMatter(text, target, key) {
+    const names = new Map();
+    for (const { tag, position: { start } } of target.tagPositions) {
+        text = new Removal(new Tag(tag)).inString(text, start.offset);
+    }
+    for (const { tag } of target.tagPositions.slice().reverse()) {  // in order of first use
+        if (!names.has(Tag.canonical(tag))) names.set(Tag.canonical(tag), Tag.toName(tag));
+    }
+    return addToFrontMatter(text, key, Array.from(names.values()), target.filename);
+}
+
+/** Remove the given front matter tags from a note, and add any the body doesn't have on a line at the top of the body */
+function tagsToBody(text, target, tags) {
+    // Remove each tag individually, so anything that can't be moved (e.g. `1234` in `tags: foo, 1234`) stays
+    const file = new File(target.app, target.filename, [], true);  // just tags (and aliases, which Removal skips)
+    for (const tag of tags) text = file.replaceInFrontMatter(text, new Removal(new Tag(tag)));
+    const seen = new Set(target.tagPositions.map(p => Tag.canonical(p.tag)));  // starting with the body's tags
+    const line = tags.filter(t => !seen.has(Tag.canonical(t)) && seen.add(Tag.canonical(t))).join(" ");
+    if (!line) return text;
+    const frontMatter = /^---\r?\n(?:.*\r?\n)*?---[ \t]*(?:\r?\n|$)/.exec(text)?.[0] ?? "";
+    const newline = frontMatter && !frontMatter.endsWith("\n") ? "\n" : "";
+    return frontMatter + newline + line + "\n" + text.slice(frontMatter.length);
+}
@@ -0,0 +1,56 @@
+import { moment, normalizePath } from "obsidian";
+import { Tag } from "./Tag";
+import { findTargets } from "./renaming";
+
+/**
+ * Find a template note by path, with or without `.md`, also looking in the folder of Obsidian's
+ * core Templates plugin (if it's enabled)
+ */
+export function findTemplate(app, name) {
+    const vault = app.vault, templates = app.internalPlugins.getPluginById("templates");
+    const folder = templates?.enabled && templates.instance?.options?.folder;
+    for (const path of [name, folder && `${folder}/${name}`].filter(Boolean).map(normalizePath)) {
+        const file = vault.getAbstractFileByPath(path) || vault.getAbstractFileByPath(path + ".md");
+        if (file?.extension) return file;
+    }
+}
+
+/**
+ * Fill in a tag page template's variables for a tag
+ *
+ * Supports `{{tag}}`, `{{tagName}}`, `{{parent}}`, `{{leaf}}`, `{{title}}`, `{{date}}` and `{{time}}`
+ * (with optional formats, as in `{{date:YYYY-MM-DD}}`), and `{{notes}}`, a list of links to the notes using the tag.
+ * Values starting with `#` are quoted when they're used unquoted in the front matter, where YAML would
+ * otherwise read them as comments.
+ */
+export async function fillTemplate(plugin, text, tagName, path) {
+    const tag = new Tag(tagName), parts = tag.name.split("/");
+    const vars = {
+        tag: tag.tag,
+        tagname: tag.name,
+        parent: parts.slice(0, -1).join("/"),
+        leaf: parts[parts.length - 1],
+        title: path.split("/").pop().replace(/\.md$/, ""),
+    };
+    if (/{{\s*notes\s*}}/i.test(text)) vars.notes = await listNotes(plugin, tag, path);
+    const frontMatterEnd = /^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/.exec(text)?.[0].length ?? 0;
+    return text.replace(/{{\s*(\w+)\s*(?::([^}]*))?}}/g, (m, name, format, offset) => {
+        name = name.toLowerCase();
+        if (name === "date") return moment().format(format?.trim() || "YYYY-MM-DD");
+        if (name === "time") return moment().format(format?.trim() || "HH:mm");
+        const value = vars[name] ?? m;
+        const inFrontMatter = offset < frontMatterEnd, quoted = /["']$/.test(text.slice(0, offset));
+        return inFrontMatter && !quoted && value.startsWith("#") ? JSON.stringify(value) : value;
+    });
+}
+
+async function listNotes(plugin, tag, path) {
+    const app = plugin.app;
+    const targets = await findTargets(app, tag, {title: `Listing notes tagged ${tag}`, properties: plugin.tagProperties}) || [];
+    return targets
+        .map(t => app.vault.getAbstractFileByPath(t.filename))
+        .filter(file => file && file.path !== path)
+        .sort((a, b) => a.basename.localeCompare(b.basename))
+        .map(file => "- " + app.fileManager.generateMarkdownLink(file, path))
+        .join("\n");
+}
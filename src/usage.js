@@ -0,0 +1,179 @@
+import { debounce, ItemView, Menu, parseFrontMatterTags } from "obsidian";
+import { Tag } from "./Tag";
+import { tagPropertyValues } from "./File";
+import { editDistance, singularName, typoDistance } from "./similarity";
+
+export const usageViewType = "tag-wrangler:usage";
+
+/**
+ * Collect usage statistics for every tag in the vault, keyed by canonical tag
+ *
+ * Each entry has the tag's most-used `tag` spelling, its `variants` (a map of spellings to counts),
+ * `body` and `frontMatter` use counts, the `files` using it, and the `first`/`last` times those files were
+ * created/modified.  Tags with a tag page but no uses are included, with zero counts.
+ */
+export function tagUsage(plugin) {
+    const app = plugin.app, usage = new Map();
+    function use(tag, file, where) {
+        tag = Tag.toTag(tag);
+        if (!Tag.isTag(tag)) return;
+        const key = tag.toLowerCase();
+        if (!usage.has(key)) usage.set(key, entry(key));
+        const u = usage.get(key);
+        u.variants.set(tag, (u.variants.get(tag) || 0) + 1);
+        u[where]++;
+        u.files.add(file);
+        u.first = Math.min(u.first, file.stat.ctime);
+        u.last = Math.max(u.last, file.stat.mtime);
+    }
+    function entry(key) {
+        return {key, variants: new Map(), body: 0, frontMatter: 0, files: new Set(), first: Infinity, last: 0};
+    }
+
+    for (const filename of app.metadataCache.getCachedFiles()) {
+        const file = app.vault.getAbstractFileByPath(filename);
+        if (!file?.stat) continue;
+        const { frontmatter, tags } = app.metadataCache.getCache(filename) || {};
+        (tags || []).forEach(t => t.tag && use(t.tag, file, "body"));
+        (parseFrontMatterTags(frontmatter) || []).concat(tagPropertyValues(app, plugin.tagProperties, frontmatter))
+            .forEach(t => use(t, file, "frontMatter"));
+    }
+    for (const [key, pages] of plugin.tagPages) {
+        if (!usage.has(key)) usage.set(key, Object.assign(entry(key), {variants: new Map([[pages.tag, 0]])}));
+    }
+    for (const u of usage.values()) {
+        u.tag = Array.from(u.variants).reduce((best, next) => next[1] > best[1] ? next : best)[0];
+        u.uses = u.body + u.frontMatter;
+        u.page = plugin.tagPage(u.key);
+    }
+    findProblems(usage);
+    return usage;
+}
+
+/** Add `problems` (descriptions) and `similar` (tags) to each usage entry */
+function findProblems(usage) {
+    const entries = Array.from(usage.values()), bySingular = new Map();
+    for (const u of entries) {
+        u.problems = [];
+        u.similar = [];
+        if (u.uses === 1) u.problems.push("used only once");
+        if (u.variants.size > 1) u.problems.push("case variants: " + Array.from(u.variants.keys()).join(", "));
+        const key = singularName(u.key);
+        if (!bySingular.has(key)) bySingular.set(key, []);
+        bySingular.get(key).push(u);
+    }
+    for (const group of bySingular.values()) if (group.length > 1) for (const u of group) {
+        const others = group.filter(o => o !== u);
+        u.problems.push("plural/singular of " + others.map(o => o.tag).join(", "));
+        u.similar.push(...others);
+    }
+    entries.sort((a, b) => a.key.length - b.key.length);
+    entries.forEach((a, i) => {
+        const max = typoDistance(a.key.slice(1));
+        if (!max) return;
+        for (const b of entries.slice(i + 1)) {
+            if (b.key.length - a.key.length > max) break;
+            if (a.similar.includes(b) || editDistance(a.key, b.key, max) > max) continue;
+            a.similar.push(b); b.similar.push(a);
+            a.problems.push(`similar to ${b.tag}`); b.problems.push(`similar to ${a.tag}`);
+        }
+    });
+}
+
+const columns = {
+    tag:         {title: "Tag",          value: u => u.tag.toLowerCase()},
+    uses:        {title: "Uses",         value: u => u.uses},
+    body:        {title: "Body",         value: u => u.body},
+    frontMatter: {title: "Front matter", value: u => u.frontMatter},
+    files:       {title: "Files",        value: u => u.files.size},
+    first:       {title: "First used",   value: u => u.first},
+    last:        {title: "Last used",    value: u => u.last},
+    page:        {title: "Page",         value: u => u.page ? 1 : 0},
+    problems:    {title: "Problems",     value: u => u.problems.length},
+};
+
+export class TagUsageView extends ItemView {
+
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.sortBy = "uses";
+        this.descending = true;
+        this.filter = "";
+        this.problemsOnly = false;
+        this.requestRefresh = debounce(() => this.refresh(), 2000, true);
+    }
+
+    getViewType() { return usageViewType; }
+    getDisplayText() { return "Tag usage"; }
+    getIcon() { return "bar-chart-2"; }
+
+    async onOpen() {
+        this.registerEvent(this.app.metadataCache.on("resolved", this.requestRefresh));
+        this.contentEl.empty();
+        const controls = this.contentEl.createDiv({attr: {style: "display: flex; gap: 1em; align-items: center; margin-bottom: 1em"}});
+        controls.createEl("input", {type: "search", placeholder: "Filter tags..."}, input => {
+            input.addEventListener("input", () => { this.filter = input.value.toLowerCase(); this.render(); });
+        });
+        controls.createEl("label", undefined, label => {
+            const box = label.createEl("input", {type: "checkbox"});
+            box.addEventListener("change", () => { this.problemsOnly = box.checked; this.render(); });
+            label.append(" Only tags with problems");
+        });
+        controls.createEl("button", {text: "Refresh"}, b => b.addEventListener("click", () => this.refresh()));
+        this.summaryEl = controls.createSpan();
+        this.tableEl = this.contentEl.createEl("table", {attr: {style: "width: 100%"}});
+        this.refresh();
+    }
+
+    refresh() {
+        this.usage = tagUsage(this.plugin);
+        this.render();
+    }
+
+    render() {
+        if (!this.tableEl) return;
+        const { value } = columns[this.sortBy], sign = this.descending ? -1 : 1;
+        const rows = Array.from(this.usage.values())
+            .filter(u => (!this.problemsOnly || u.problems.length) && u.key.includes(this.filter))
+            .sort((a, b) => sign * (value(a) > value(b) ? 1 : value(a) < value(b) ? -1 : 0) || a.key.localeCompare(b.key));
+        this.summaryEl.setText(`${rows.length} of ${this.usage.size} tag(s)`);
+
+        this.tableEl.empty();
+        this.tableEl.createEl("thead").createEl("tr", undefined, tr => {
+            for (const [key, {title}] of Object.entries(columns)) tr.createEl("th", {
+                text: title + (key === this.sortBy ? (this.descending ? " ▼" : " ▲") : ""),
+                attr: {style: "cursor: pointer; text-align: left"}
+            }, th => th.addEventListener("click", () => {
+                this.descending = key === this.sortBy ? !this.descending : key !== "tag";
+                this.sortBy = key;
+                this.render();
+            }));
+            tr.createEl("th");
+        });
+        const body = this.tableEl.createEl("tbody"), date = t => isFinite(t) && t ? new Date(t).toLocaleDateString() : "";
+        for (const u of rows) body.createEl("tr", undefined, tr => {
+            tr.createEl("td").createEl("a", {cls: "tag", text: u.tag, href: u.tag}, a => a.addEventListener("click", e => {
+                if (e.defaultPrevented) return;  // alt/ctrl-click to open the tag page
+                e.preventDefault();
+                this.app.internalPlugins.getPluginById("global-search")?.instance?.openGlobalSearch("tag:" + u.tag);
+            }));
+            for (const n of [u.uses, u.body, u.frontMatter, u.files.size]) tr.createEl("td", {text: String(n)});
+            tr.createEl("td", {text: date(u.first)});
+            tr.createEl("td", {text: date(u.last)});
+            tr.createEl("td", {text: u.page ? "✓" : ""});
+            tr.createEl("td", {text: u.problems.join("; ")});
+            tr.createEl("td").createEl("button", {text: "Actions..."}, b => b.addEventListener("click", e => this.showMenu(e, u)));
+        });
+    }
+
+    showMenu(e, u) {
+        const menu = new Menu(), name = Tag.toName(u.tag);
+        for (const other of u.similar) menu.addItem(i => i
+            .setIcon("merge").setTitle(`Merge into ${other.tag}`).setSection("tag-rename")
+            .onClick(() => this.plugin.rename(name, Tag.toName(other.tag)))
+        );
+        this.plugin.setupMenu(menu, name);
+        menu.showAtMouseEvent(e);
+    }
+}
@@ -0,0 +1,81 @@
+import { debounce, normalizePath } from "obsidian";
+import { findTags, Replacement, Tag } from "./Tag";
+import { parseMapping } from "./mapping";
+import { synonymGroups } from "./synonyms";
+
+/**
+ * The controlled vocabulary of sanctioned tags, loaded from the source chosen in the settings
+ *
+ * With the "pages" source, the tags with tag pages are allowed, and synonyms (second and later
+ * tag aliases on a page) are deprecated in favor of the page's primary tag.  With the "note"
+ * source, the tags in the vocabulary note are allowed, and lines like `#old -> #new` (as in a
+ * note used as a mapping file) deprecate the old tag, along with its sub-tags.
+ */
+export class Vocabulary {
+    allowed = undefined;  // canonical tags, or undefined if there's no vocabulary
+    deprecated = [];      // Replacements, longest tag first
+    errors = [];
+    version = 0;          // incremented when the vocabulary changes
+    signature = "";
+
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.requestLoad = debounce(() => this.load(), 1000, true);
+    }
+
+    /** The vocabulary note, if that's the source and it exists */
+    get note() {
+        const { vocabularySource, vocabularyNote } = this.plugin.settings, path = normalizePath(vocabularyNote.trim());
+        if (vocabularySource !== "note" || !path) return;
+        const vault = this.plugin.app.vault, file = vault.getAbstractFileByPath(path) || vault.getAbstractFileByPath(path + ".md");
+        if (file?.extension) return file;
+    }
+
+    async load() {
+        const plugin = this.plugin, source = plugin.settings.vocabularySource;
+        let allowed, mappings = [], errors = [];
+        if (source === "pages") {
+            allowed = Array.from(plugin.tagPages.keys());
+            mappings = synonymGroups(plugin).flatMap(({primary, synonyms}) => synonyms.map(s => ({from: s, to: primary})));
+        } else if (source === "note") {
+            const file = this.note;
+            if (file) {
+                const text = await plugin.app.vault.cachedRead(file);
+                ({mappings, errors} = parseMapping(text, "md"));
+                const old = new Set(mappings.map(m => Tag.canonical(m.from)));
+                allowed = findTags(text).map(t => Tag.canonical(t.tag)).filter(t => !old.has(t));
+            } else {
+                errors = [`Vocabulary note "${plugin.settings.vocabularyNote}" not found`];
+            }
+        }
+        const deprecated = mappings
+            .map(({from, to}) => new Replacement(new Tag(from), new Tag(to)))
+            .sort((a, b) => b.fromTag.name.length - a.fromTag.name.length);
+
+        const signature = JSON.stringify([allowed?.sort(), deprecated.map(String), errors]);
+        this.allowed = allowed && new Set(allowed);
+        this.deprecated = deprecated;
+        this.errors = errors;
+        if (signature === this.signature) return;
+        this.signature = signature;
+        this.version++;
+        plugin.app.workspace.updateOptions();  // refresh editor decorations
+    }
+
+    /**
+     * Check a tag against the vocabulary, returning its problem (if any), and for deprecated tags,
+     * the Replacement that deprecates it and the tag to use instead
+     *
+     * @returns {{problem: string, replace?: Replacement, replacement?: string}|undefined}
+     */
+    check(tag) {
+        tag = Tag.toTag(tag);
+        if (!Tag.isTag(tag)) return {problem: "invalid tag name"};
+        const replace = this.deprecated.find(r => r.matches(tag));
+        if (replace) {
+            const replacement = replace.inString(tag);
+            return {problem: `deprecated (use ${replacement})`, replace, replacement};
+        }
+        if (this.allowed && !this.allowed.has(Tag.canonical(tag))) return {problem: "not in the vocabulary"};
+    }
+}
@@ -0,0 +1,179 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { addToFrontMatter, File, removeFromFrontMatter, tagProperties } from "../src/File.js";
+import { Removal, Replacement, Tag } from "../src/Tag.js";
+
+const note = (...lines) => lines.join("\n") + "\n";
+const rename = (from, to) => new Replacement(new Tag(from), new Tag(to));
+
+describe("File.replaceInFrontMatter", () => {
+    const file = new File({}, "note.md", [], true);
+    const replace = (text, replacement, accept) => file.replaceInFrontMatter(text, replacement, accept);
+
+    it("renames tags in block and flow lists, keeping the formatting", () => {
+        assert.equal(
+            replace(note("---", "tags:", "  - foo", "  - bar", "---", "#foo"), rename("foo", "baz")),
+            note("---", "tags:", "  - baz", "  - bar", "---", "#foo")
+        );
+        assert.equal(
+            replace(note("---", "tags: [ foo, foo/sub ]", "---"), rename("foo", "x/y")),
+            note("---", "tags: [ x/y, x/y/sub ]", "---")
+        );
+    });
+
+    it("renames tags in space- or comma-separated strings", () => {
+        assert.equal(
+            replace(note("---", "tags: foo bar, Foo/x", "---"), rename("foo", "baz")),
+            note("---", "tags: baz bar, baz/x", "---")
+        );
+    });
+
+    it("only renames aliases that are tags", () => {
+        assert.equal(
+            replace(note("---", "aliases: [foo, \"#foo\"]", "---"), rename("foo", "bar")),
+            note("---", "aliases: [foo, \"#bar\"]", "---")
+        );
+    });
+
+    it("leaves other properties alone", () => {
+        const text = note("---", "topic: foo", "related: [foo]", "---");
+        assert.equal(replace(text, rename("foo", "bar")), text);
+    });
+
+    it("removes tags from lists and strings, emptying a list or dropping a string property", () => {
+        assert.equal(
+            replace(note("---", "tags:", "  - foo", "  - bar", "---"), new Removal(new Tag("foo"))),
+            note("---", "tags:", "  - bar", "---")
+        );
+        assert.equal(
+            replace(note("---", "tags: [foo]", "title: x", "---"), new Removal(new Tag("foo"))),
+            note("---", "tags: []", "title: x", "---")
+        );
+        assert.equal(
+            replace(note("---", "tags: foo, bar", "---"), new Removal(new Tag("foo"))),
+            note("---", "tags: bar", "---")
+        );
+        assert.equal(
+            replace(note("---", "tags: foo", "title: x", "---"), new Removal(new Tag("foo"))),
+            note("---", "title: x", "---")
+        );
+    });
+
+    it("doesn't remove aliases", () => {
+        const text = note("---", "aliases: [\"#foo\"]", "---");
+        assert.equal(replace(text, new Removal(new Tag("foo"))), text);
+    });
+
+    it("skips changes that aren't accepted", () => {
+        const changes = [];
+        assert.equal(
+            replace(note("---", "tags: [foo, foo/x]", "---"), rename("foo", "bar"), c => changes.push(c) && c.id !== "tags:1"),
+            note("---", "tags: [bar, foo/x]", "---")
+        );
+        assert.deepEqual(changes.map(c => [c.id, c.before, c.after]), [["tags:0", "foo", "bar"], ["tags:1", "foo/x", "bar/x"]]);
+    });
+
+    it("changes configured tag properties", () => {
+        const withTopics = new File({}, "note.md", [], true, undefined, tagProperties(["topics"], false));
+        assert.equal(
+            withTopics.replaceInFrontMatter(note("---", "topics: [foo]", "other: [foo]", "---"), rename("foo", "bar")),
+            note("---", "topics: [bar]", "other: [foo]", "---")
+        );
+    });
+
+    it("leaves notes without front matter alone", () => {
+        const text = note("no front matter", "tags: foo");
+        assert.equal(replace(text, rename("foo", "bar")), text);
+    });
+});
+
+describe("addToFrontMatter", () => {
+    it("creates the front matter if there isn't any", () => {
+        assert.equal(addToFrontMatter("text\n", "tags", ["foo"]), note("---", "tags:", "  - foo", "---", "text"));
+    });
+
+    it("adds a new property", () => {
+        assert.equal(
+            addToFrontMatter(note("---", "title: x", "---", "text"), "tags", ["foo", "bar"]),
+            note("---", "title: x", "tags:", "  - foo", "  - bar", "---", "text")
+        );
+    });
+
+    it("adds to an existing list, in its style", () => {
+        assert.equal(
+            addToFrontMatter(note("---", "tags:", "  - foo", "title: x", "---"), "tags", ["bar"]),
+            note("---", "tags:", "  - foo", "  - bar", "title: x", "---")
+        );
+        assert.equal(
+            addToFrontMatter(note("---", "tags: [foo]", "---"), "tags", ["bar"]),
+            note("---", "tags: [foo, bar]", "---")
+        );
+        assert.equal(
+            addToFrontMatter(note("---", "tags: []", "---"), "tags", ["bar"]),
+            note("---", "tags: [bar]", "---")
+        );
+    });
+
+    it("adds to a comma-separated string", () => {
+        assert.equal(
+            addToFrontMatter(note("---", "tags: foo, bar", "---"), "tags", ["baz"]),
+            note("---", "tags: foo, bar, baz", "---")
+        );
+    });
+
+    it("fills in an empty property", () => {
+        assert.equal(
+            addToFrontMatter(note("---", "tags:", "title: x", "---"), "tags", ["foo"]),
+            note("---", "tags:", "  - foo", "title: x", "---")
+        );
+    });
+
+    it("matches the property name and existing values case-insensitively", () => {
+        const text = note("---", "Tags: [Foo]", "---");
+        assert.equal(addToFrontMatter(text, "tags", ["foo"]), text);
+        assert.equal(addToFrontMatter(text, "tags", ["bar"]), note("---", "Tags: [Foo, bar]", "---"));
+    });
+
+    it("quotes values that need it", () => {
+        assert.equal(
+            addToFrontMatter(note("---", "related:", "  - \"[[a]]\"", "---"), "related", ["[[b]]"]),
+            note("---", "related:", "  - \"[[a]]\"", "  - \"[[b]]\"", "---")
+        );
+    });
+});
+
+describe("removeFromFrontMatter", () => {
+    const is = value => v => v === value;
+
+    it("removes matching list items", () => {
+        assert.equal(
+            removeFromFrontMatter(note("---", "related:", "  - a", "  - b", "---"), "related", is("a")),
+            note("---", "related:", "  - b", "---")
+        );
+        assert.equal(
+            removeFromFrontMatter(note("---", "related: [a, b, c]", "---"), "related", is("b")),
+            note("---", "related: [a, c]", "---")
+        );
+    });
+
+    it("leaves an empty list when every item is removed", () => {
+        assert.equal(
+            removeFromFrontMatter(note("---", "related:", "  - a", "title: x", "---"), "related", is("a")),
+            note("---", "related: []", "title: x", "---")
+        );
+    });
+
+    it("removes a matching single-valued property", () => {
+        assert.equal(
+            removeFromFrontMatter(note("---", "title: x", "up: a", "---", "text"), "up", is("a")),
+            note("---", "title: x", "---", "text")
+        );
+    });
+
+    it("leaves the text alone if nothing matches", () => {
+        const text = note("---", "related: [a]", "---");
+        assert.equal(removeFromFrontMatter(text, "related", is("b")), text);
+        assert.equal(removeFromFrontMatter(text, "other", is("a")), text);
+        assert.equal(removeFromFrontMatter("no front matter\n", "related", is("a")), "no front matter\n");
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { findTags, Removal, Replacement, ReplacementSet, Tag } from "../src/Tag.js";
+
+const rename = (from, to, mode) => new Replacement(new Tag(from), new Tag(to), mode);
+
+describe("Removal.inString", () => {
+    const remove = (text, tag, pos = text.indexOf("#" + tag)) => new Removal(new Tag(tag)).inString(text, pos);
+
+    it("removes a tag and the space before it", () => {
+        assert.equal(remove("some #foo text", "foo"), "some text");
+        assert.equal(remove("end of line #foo\nnext", "foo"), "end of line\nnext");
+    });
+
+    it("removes a leading tag and the space after it, keeping the indentation", () => {
+        assert.equal(remove("#foo bar", "foo"), "bar");
+        assert.equal(remove("  - #foo bar", "foo"), "  - bar");
+        assert.equal(remove("\t#foo bar", "foo"), "\tbar");
+    });
+
+    it("removes a line with nothing else on it", () => {
+        assert.equal(remove("a\n#foo\nb", "foo"), "a\nb");
+        assert.equal(remove("a\n  #foo  \nb", "foo"), "a\nb");
+        assert.equal(remove("#foo\nb", "foo"), "b");
+        assert.equal(remove("a\n#foo", "foo"), "a");
+        assert.equal(remove("#foo", "foo"), "");
+    });
+
+    it("removes only the tag at the given position", () => {
+        assert.equal(remove("#foo and #foo", "foo", 9), "#foo and");
+    });
+
+    it("removes the whole tag, including any sub-tag path", () => {
+        assert.equal(new Removal(new Tag("foo"), true).inString("x #foo/bar y", 2), "x y");
+    });
+
+    it("leaves the text alone if there's no tag at the position", () => {
+        assert.equal(remove("no tags here", "foo", 3), "no tags here");
+    });
+});
+
+describe("ReplacementSet.conflicts", () => {
+    const conflicts = (...replacements) => new ReplacementSet(replacements).conflicts();
+
+    it("accepts independent renames", () => {
+        assert.deepEqual(conflicts(rename("a", "x"), rename("b", "y")), []);
+    });
+
+    it("accepts exact and sub-tag renames of the same tag", () => {
+        assert.deepEqual(conflicts(rename("a", "x", "exact"), rename("a", "y", "children")), []);
+    });
+
+    it("reports a tag renamed twice", () => {
+        assert.deepEqual(conflicts(rename("a", "x"), rename("A", "y")), ["#a is renamed by both #a → #x and #A → #y"]);
+        assert.equal(conflicts(rename("a", "x", "exact"), rename("a", "y", "exact")).length, 1);
+        assert.equal(conflicts(rename("a", "x"), rename("a", "y", "children")).length, 1);
+    });
+
+    it("reports renames that overlap", () => {
+        assert.deepEqual(conflicts(rename("a", "x"), rename("a/b", "y")), ["#a → #x overlaps with #a/b → #y"]);
+        assert.deepEqual(conflicts(rename("a", "x", "exact"), rename("a/b", "y")), []);
+    });
+
+    it("reports renames that chain into each other", () => {
+        assert.deepEqual(conflicts(rename("a", "b"), rename("b", "c")), ["#a → #b chains into #b → #c"]);
+        assert.deepEqual(conflicts(rename("a", "b"), rename("b/c", "d")), ["#a → #b chains into #b/c → #d"]);
+        assert.deepEqual(conflicts(rename("a", "b", "exact"), rename("b/c", "d")), []);
+    });
+
+    it("accepts swapping the case of a tag", () => {
+        assert.deepEqual(conflicts(rename("Foo", "foo")), []);
+    });
+});
+
+describe("findTags", () => {
+    const tags = text => findTags(text).map(({tag}) => tag);
+
+    it("finds tags and their offsets", () => {
+        assert.deepEqual(findTags("#a and #b/c"), [{tag: "#a", offset: 0}, {tag: "#b/c", offset: 7}]);
+    });
+
+    it("only finds tags at the start of a word", () => {
+        assert.deepEqual(tags("a#b (#c) x #d"), ["#d"]);
+    });
+
+    it("stops at punctuation", () => {
+        assert.deepEqual(tags("#foo, #bar. #baz!"), ["#foo", "#bar", "#baz"]);
+    });
+
+    it("skips all-numeric tags", () => {
+        assert.deepEqual(tags("#123 #2023/q1 #1a"), ["#2023/q1", "#1a"]);
+    });
+
+    it("skips code spans and code blocks", () => {
+        assert.deepEqual(tags("`#a` #b\n```\n#c\n```\n#d ```#e"), ["#b", "#d"]);
+    });
+
+    it("keeps offsets in the original text when code is masked", () => {
+        assert.deepEqual(findTags("`x` #a"), [{tag: "#a", offset: 4}]);
+    });
+});
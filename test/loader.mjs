@@ -0,0 +1,22 @@
+/**
+ * Lets `node --test` load the plugin's source as the build does: extensionless imports resolve to `.js`
+ * files, which are ES modules, and `obsidian` (which only exists inside the app) is replaced by a mock.
+ */
+import { register } from "node:module";
+
+if (!import.meta.url.includes("?hooks")) register(import.meta.url + "?hooks");
+
+const src = new URL("../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, next) {
+    if (specifier === "obsidian") return {url: new URL("./obsidian.mjs", import.meta.url).href, shortCircuit: true};
+    if (specifier.startsWith(".") && context.parentURL?.startsWith(src) && !/\.\w+$/.test(specifier)) {
+        return next(specifier + ".js", context);
+    }
+    return next(specifier, context);
+}
+
+export async function load(url, context, next) {
+    if (url.startsWith(src) && url.endsWith(".js")) return next(url, {...context, format: "module"});
+    return next(url, context);
+}
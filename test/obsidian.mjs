@@ -0,0 +1,7 @@
+/** The parts of the obsidian API that modules under test use at load time or in the tested code paths */
+
+export const notices = [];
+
+export class Notice {
+    constructor(message) { notices.push(message); }
+}